@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Structured error type thrown by the HTTP client.
+ * Keeps the HTTP status, an error code, field-level validation errors and the
+ * original response payload so views can react to the exact failure.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Error codes derived from the HTTP status when the server does not send one.
+ * @type {Object<number, string>}
+ */
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  422: 'VALIDATION_ERROR',
+  429: 'RATE_LIMITED',
+};
+
+/**
+ * Error thrown for failed API requests.
+ * Network failures and timeouts have status 0 and the codes NETWORK_ERROR and TIMEOUT.
+ * @extends Error
+ * @example
+ * try {
+ *   await registerUser(data);
+ * } catch (err) {
+ *   if (isApiError(err) && err.hasFieldError('email')) {
+ *     console.log(err.getFieldError('email'));
+ *   }
+ * }
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status=0] - HTTP status, 0 when no response was received
+   * @param {string} [details.code] - Error code, derived from the status when omitted
+   * @param {Object<string, string>} [details.fieldErrors={}] - Validation messages by field name
+   * @param {any} [details.payload=null] - Original response payload
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { status = 0, code, fieldErrors = {}, payload = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || getCodeForStatus(status, fieldErrors);
+    this.fieldErrors = fieldErrors;
+    this.payload = payload;
+  }
+
+  /**
+   * Builds an ApiError from a failed HTTP response and its parsed payload.
+   * @param {Response} res - Fetch response
+   * @param {any} payload - Parsed JSON payload, or null
+   * @returns {ApiError} The error
+   */
+  static fromResponse(res, payload) {
+    const message = payload?.message || payload?.error || `HTTP ${res.status}`;
+    const fieldErrors = extractFieldErrors(payload, res.status, message);
+    const code = typeof payload?.code === 'string' ? payload.code : undefined;
+    return new ApiError(message, { status: res.status, code, fieldErrors, payload });
+  }
+
+  /**
+   * Whether the server rejected a specific field.
+   * @param {string} field - Field name as sent to the API
+   * @returns {boolean} True if there is a validation message for the field
+   */
+  hasFieldError(field) {
+    return Object.prototype.hasOwnProperty.call(this.fieldErrors, field);
+  }
+
+  /**
+   * Returns the validation message of a field.
+   * @param {string} field - Field name as sent to the API
+   * @returns {string|null} The message, or null if the field was accepted
+   */
+  getFieldError(field) {
+    return this.hasFieldError(field) ? this.fieldErrors[field] : null;
+  }
+
+  /**
+   * Whether no response was received (network failure or timeout).
+   * @type {boolean}
+   */
+  get isNetworkError() {
+    return this.status === 0;
+  }
+}
+
+/**
+ * Checks whether a value is an ApiError.
+ * @param {any} err - Value to check
+ * @returns {boolean} True for ApiError instances
+ * @public
+ */
+export function isApiError(err) {
+  return err instanceof ApiError;
+}
+
+/**
+ * Derives an error code from an HTTP status.
+ * @private
+ */
+function getCodeForStatus(status, fieldErrors) {
+  if (status === 0) return 'NETWORK_ERROR';
+  if (status === 400 && Object.keys(fieldErrors).length > 0) return 'VALIDATION_ERROR';
+  if (status >= 500) return 'SERVER_ERROR';
+  return STATUS_CODES[status] || 'HTTP_ERROR';
+}
+
+/**
+ * Extracts validation messages by field from the payload formats used by the API:
+ * an `errors` array ({ field | path | param, message | msg }), an `errors` object
+ * keyed by field (Mongoose), or a duplicate-key `keyValue`. A 409 without details
+ * that mentions the email is attributed to the `email` field.
+ * @private
+ * @returns {Object<string, string>} Messages by field name
+ */
+function extractFieldErrors(payload, status, message) {
+  const fieldErrors = {};
+  const errors = payload?.errors;
+
+  if (Array.isArray(errors)) {
+    errors.forEach((item) => {
+      const field = item?.field || item?.path || item?.param;
+      if (field) fieldErrors[field] = item.message || item.msg || message;
+    });
+  } else if (errors && typeof errors === 'object') {
+    Object.entries(errors).forEach(([field, value]) => {
+      fieldErrors[field] = typeof value === 'string' ? value : value?.message || message;
+    });
+  }
+
+  if (payload?.keyValue && typeof payload.keyValue === 'object') {
+    Object.keys(payload.keyValue).forEach((field) => {
+      fieldErrors[field] = fieldErrors[field] || message;
+    });
+  }
+
+  if (status === 409 && Object.keys(fieldErrors).length === 0 && /e-?mail|correo/i.test(message)) {
+    fieldErrors.email = message;
+  }
+
+  return fieldErrors;
+}
@@ -1,10 +1,15 @@
 /**
  * @fileoverview HTTP client module for API communication.
- * Provides a wrapper around the Fetch API with automatic JSON handling and error management.
+ * Provides a wrapper around the Fetch API with automatic JSON handling, error management
+ * an interceptor pipeline (before-request, after-response, on-error) where
+ * cross-cutting concerns such as authentication are plugged in, and per-request
+ * timeouts, cancellation and retries with exponential backoff.
  * @author Tudu Development Team
  * @version 1.0.0
  */
 
+import { ApiError } from './apiError.js';
+
 /**
  * Base URL for all API requests.
  * Loaded from Vite environment variables (VITE_API_URL).
@@ -12,17 +17,89 @@
  */
 const BASE_URL = import.meta.env.VITE_API_URL;
 
+/**
+ * Default time in milliseconds a request may take before it is aborted.
+ * @type {number}
+ */
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Default retry policy: number of retries and backoff delays in milliseconds.
+ * @type {{retries: number, baseDelay: number, maxDelay: number}}
+ */
+const DEFAULT_RETRY = { retries: 2, baseDelay: 500, maxDelay: 8000 };
+
+/**
+ * Longest Retry-After delay (ms) the client is willing to wait before retrying.
+ * @type {number}
+ */
+const MAX_RETRY_AFTER = 30000;
+
+/**
+ * HTTP methods that can be repeated without changing the result.
+ * @type {string[]}
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Statuses worth retrying for idempotent requests.
+ * @type {number[]}
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Registered interceptors, run in registration order.
+ * @type {{request: Function[], response: Function[], error: Function[]}}
+ * @private
+ */
+const interceptors = {
+  request: [],
+  response: [],
+  error: [],
+};
+
+/**
+ * Creates the registration API for one interceptor stage.
+ * @private
+ * @param {Function[]} handlers - Handler list of the stage
+ * @returns {{use: function(Function): Function}} Object whose `use` registers a
+ * handler and returns a function that removes it
+ */
+function createInterceptorStage(handlers) {
+  return {
+    use(handler) {
+      handlers.push(handler);
+      return () => {
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+      };
+    },
+  };
+}
+
 /**
  * Generic HTTP request function using the Fetch API.
  * Automatically handles JSON serialization/deserialization and error responses.
+ * The request config goes through the request interceptors before being sent,
+ * the parsed payload through the response interceptors, and any failure through
+ * the error interceptors before being thrown.
  * @async
  * @param {string} path - API endpoint path (relative to BASE_URL)
  * @param {Object} [options={}] - Request configuration options
  * @param {string} [options.method='GET'] - HTTP method
  * @param {Object} [options.headers={}] - Additional HTTP headers
  * @param {Object} [options.body] - Request payload (will be JSON stringified)
+ * @param {boolean} [options.auth=true] - Whether to send the session token
+ * @param {boolean} [options.sessionRedirect=true] - Whether a 401/403 response ends the session
+ * @param {number} [options.timeout=15000] - Milliseconds before each attempt is aborted
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request from the caller
+ * @param {number|Object|false} [options.retry] - Number of retries, a policy
+ * ({ retries, baseDelay, maxDelay }) or false to disable them. Idempotent methods are
+ * retried on network errors, timeouts and 408/429/5xx responses; other methods only on a 429
+ * with Retry-After
  * @returns {Promise<any>} Parsed JSON response or null for non-JSON responses
- * @throws {Error} Throws error with server message for HTTP error responses
+ * @throws {ApiError} For HTTP error responses, network failures and timeouts
+ * @throws {DOMException} An AbortError when the caller's signal aborts
  * @example
  * try {
  *   const data = await request('/users', { 
@@ -31,28 +108,215 @@ const BASE_URL = import.meta.env.VITE_API_URL;
  *   });
  *   console.log(data);
  * } catch (err) {
- *   console.error('Request failed:', err.message);
+ *   console.error('Request failed:', err.status, err.code, err.message);
  * }
  */
-async function request(path, { method = 'GET', headers = {}, body } = {}) {
-  const res = await fetch(`${BASE_URL}${path}`, {
-    method,
-    headers: {
-      'Content-Type': 'application/json',
-      ...headers,
+async function request(path, {
+  method = 'GET',
+  headers = {},
+  body,
+  auth = true,
+  sessionRedirect = true,
+  timeout = DEFAULT_TIMEOUT,
+  signal,
+  retry = DEFAULT_RETRY,
+  ...rest
+} = {}) {
+  const context = {
+    config: {
+      ...rest,
+      path,
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers,
+      },
+      body,
+      auth,
+      sessionRedirect,
+      timeout,
+      signal,
+      retry,
+      meta: {},
     },
-    body: body ? JSON.stringify(body) : undefined,
-  });
+    response: null,
+    payload: null,
+  };
+
+  try {
+    for (const handler of interceptors.request) {
+      context.config = await handler(context.config);
+    }
+
+    const res = await fetchWithRetry(context.config);
+    context.response = res;
+
+    const isJSON = res.headers.get('content-type')?.includes('application/json');
+    let payload = isJSON ? await res.json().catch(() => null) : null;
+    context.payload = payload;
+
+    if (!res.ok) {
+      throw ApiError.fromResponse(res, payload);
+    }
+
+    for (const handler of interceptors.response) {
+      payload = await handler(payload, context);
+    }
+
+    return payload;
+  } catch (err) {
+    let error = err;
+    for (const handler of interceptors.error) {
+      error = (await handler(error, context)) || error;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Sends a request, retrying failed attempts according to the retry policy.
+ * Waits honor the Retry-After header of 429/503 responses and otherwise grow
+ * exponentially with some jitter. Non-idempotent requests (POST, PATCH) are only
+ * retried on a 429 carrying Retry-After, which means the server rejected them
+ * unprocessed: after a 503 the backend may already have applied the change.
+ * @private
+ * @async
+ * @param {Object} config - Request config
+ * @returns {Promise<Response>} The last fetch response
+ * @throws {Error} The failure of the last attempt
+ */
+async function fetchWithRetry(config) {
+  const policy = resolveRetryPolicy(config.retry);
+  const idempotent = IDEMPOTENT_METHODS.includes(config.method.toUpperCase());
 
-  const isJSON = res.headers.get('content-type')?.includes('application/json');
-  const payload = isJSON ? await res.json().catch(() => null) : null;
+  for (let attempt = 0; ; attempt++) {
+    const canRetry = attempt < policy.retries;
+    let res;
 
-  if (!res.ok) {
-    const msg = payload?.message || payload?.error || `HTTP ${res.status}`;
-    throw new Error(msg);
+    try {
+      res = await fetchWithTimeout(config);
+    } catch (err) {
+      if (!canRetry || !idempotent || err.name === 'AbortError') throw err;
+      await wait(getBackoffDelay(attempt, policy), config.signal);
+      continue;
+    }
+
+    const retryAfter = getRetryAfterDelay(res);
+    const retryable = idempotent
+      ? RETRYABLE_STATUSES.includes(res.status)
+      : res.status === 429 && retryAfter !== null;
+
+    if (!canRetry || !retryable) return res;
+
+    const delay = retryAfter ?? getBackoffDelay(attempt, policy);
+    if (delay > MAX_RETRY_AFTER) return res;
+    await wait(delay, config.signal);
   }
+}
+
+/**
+ * Performs a single fetch attempt that is aborted after the configured timeout
+ * or when the caller's signal aborts.
+ * @private
+ * @async
+ * @param {Object} config - Request config
+ * @returns {Promise<Response>} The fetch response
+ * @throws {ApiError} With code TIMEOUT or NETWORK_ERROR when no response is received
+ * @throws {DOMException} The AbortError of the caller
+ */
+async function fetchWithTimeout(config) {
+  const controller = new AbortController();
+  const abortFromCaller = () => controller.abort(config.signal.reason);
+  let timedOut = false;
+
+  if (config.signal?.aborted) throw config.signal.reason ?? new DOMException('Aborted', 'AbortError');
+  config.signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+  const timer = config.timeout > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, config.timeout)
+    : null;
 
-  return payload;
+  try {
+    return await fetch(`${BASE_URL}${config.path}`, {
+      method: config.method,
+      headers: config.headers,
+      body: config.body ? JSON.stringify(config.body) : undefined,
+      signal: controller.signal,
+    });
+  } catch (err) {
+    if (timedOut) {
+      throw new ApiError('El servidor tardó demasiado en responder', { code: 'TIMEOUT', cause: err });
+    }
+    if (err.name === 'AbortError') throw err;
+    throw new ApiError('No se pudo conectar con el servidor', { code: 'NETWORK_ERROR', cause: err });
+  } finally {
+    clearTimeout(timer);
+    config.signal?.removeEventListener('abort', abortFromCaller);
+  }
+}
+
+/**
+ * Normalizes the `retry` request option into a retry policy.
+ * @private
+ * @param {number|Object|false} retry - Retry option
+ * @returns {{retries: number, baseDelay: number, maxDelay: number}} Retry policy
+ */
+function resolveRetryPolicy(retry) {
+  if (!retry) return { ...DEFAULT_RETRY, retries: 0 };
+  if (typeof retry === 'number') return { ...DEFAULT_RETRY, retries: retry };
+  return { ...DEFAULT_RETRY, ...retry };
+}
+
+/**
+ * Computes the exponential backoff delay for an attempt, with up to 20% jitter.
+ * @private
+ */
+function getBackoffDelay(attempt, { baseDelay, maxDelay }) {
+  const delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+  return Math.round(delay * (0.8 + Math.random() * 0.2));
+}
+
+/**
+ * Reads the Retry-After header (seconds or HTTP date) of a response.
+ * @private
+ * @returns {number|null} Delay in milliseconds, or null when absent or invalid
+ */
+function getRetryAfterDelay(res) {
+  const header = res.headers.get('retry-after');
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Waits for a delay, stopping early if the signal aborts.
+ * @private
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 /**
@@ -61,6 +325,24 @@ async function request(path, { method = 'GET', headers = {}, body } = {}) {
  * @namespace
  */
 export const http = {
+  /**
+   * Interceptor stages. Each `use(handler)` call returns a function that removes the handler.
+   * - `request.use((config) => config)`: receives the request config and must return it.
+   * - `response.use((payload, context) => payload)`: receives the parsed payload and must return it.
+   * - `error.use((error, context) => error)`: receives the failure and may return a replacement error.
+   * The context holds the final `config`, the fetch `response` (null on network errors) and its `payload`.
+   * @example
+   * const eject = http.interceptors.request.use((config) => {
+   *   config.headers['X-Client'] = 'tudu-web';
+   *   return config;
+   * });
+   */
+  interceptors: {
+    request: createInterceptorStage(interceptors.request),
+    response: createInterceptorStage(interceptors.response),
+    error: createInterceptorStage(interceptors.error),
+  },
+
   /**
    * Performs a GET request to fetch data.
    * @param {string} path - API endpoint path
@@ -68,9 +350,8 @@ export const http = {
    * @returns {Promise<any>} Response data
    * @example
    * const users = await http.get('/users');
-   * const user = await http.get('/users/123', { 
-   *   headers: { Authorization: 'Bearer token' } 
-   * });
+   * const status = await http.get('/health', { auth: false });
+   * const tasks = await http.get('/tasks', { signal: controller.signal, timeout: 5000 });
    */
   get: (path, opts) => request(path, { method: 'GET', ...opts }),
 
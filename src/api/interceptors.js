@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Default interceptors of the HTTP client.
+ * Authentication, session expiry, request correlation and timing logs are
+ * registered here once instead of being handled by each service function.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { expireSession, getToken } from '../utils/session.js';
+import { ApiError } from './apiError.js';
+import { http } from './http.js';
+
+/**
+ * Adds the session token as a bearer token to authenticated requests.
+ * @param {Object} config - Request config
+ * @returns {Object} The request config
+ * @public
+ */
+export function authInterceptor(config) {
+  const token = config.auth ? getToken() : null;
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+}
+
+/**
+ * Ends the session when an authenticated request is rejected with 401 or 403.
+ * @param {Error} error - Request failure
+ * @param {Object} context - Request context
+ * @returns {Error} The error to throw, an ApiError with code SESSION_EXPIRED when the session ended
+ * @public
+ */
+export function sessionExpiryInterceptor(error, context) {
+  const { config, response } = context;
+  const rejected = response?.status === 401 || response?.status === 403;
+  if (rejected && config.headers.Authorization && config.sessionRedirect) {
+    expireSession();
+    return new ApiError('Tu sesión ha expirado. Inicia sesión nuevamente', {
+      status: response.status,
+      code: 'SESSION_EXPIRED',
+      payload: context.payload,
+    });
+  }
+  return error;
+}
+
+/**
+ * Whether the API is served from the same origin as the app.
+ * @private
+ * @returns {boolean} True when requests to the API are not cross-origin
+ */
+function isSameOriginApi() {
+  try {
+    return new URL(import.meta.env.VITE_API_URL || '', location.href).origin === location.origin;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Tags every request with a unique ID so client and server logs can be matched.
+ * The `X-Request-Id` header is only sent in development or when the API shares
+ * the app's origin: on a cross-origin API a custom header turns every call into a
+ * CORS preflight that the backend would have to allow explicitly.
+ * @param {Object} config - Request config
+ * @returns {Object} The request config
+ * @public
+ */
+export function correlationIdInterceptor(config) {
+  const requestId = crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  if (import.meta.env.DEV || isSameOriginApi()) {
+    config.headers['X-Request-Id'] = requestId;
+  }
+  config.meta.requestId = requestId;
+  return config;
+}
+
+/**
+ * Registers interceptors that log the duration of every request.
+ * Only active in development builds.
+ * @private
+ */
+function registerTimingInterceptors() {
+  const log = ({ config, response }, outcome) => {
+    const duration = Math.round(performance.now() - config.meta.startedAt);
+    console.debug(`[http] ${config.method} ${config.path} → ${response?.status ?? outcome} (${duration} ms)`, config.meta.requestId);
+  };
+
+  http.interceptors.request.use((config) => {
+    config.meta.startedAt = performance.now();
+    return config;
+  });
+  http.interceptors.response.use((payload, context) => {
+    log(context, 'ok');
+    return payload;
+  });
+  http.interceptors.error.use((error, context) => {
+    if (context.config.meta.startedAt) log(context, 'error');
+    return error;
+  });
+}
+
+/**
+ * Registers the default interceptors on the shared HTTP client.
+ * Called once at application start.
+ * @public
+ */
+export function registerDefaultInterceptors() {
+  http.interceptors.request.use(authInterceptor);
+  http.interceptors.request.use(correlationIdInterceptor);
+  http.interceptors.error.use(sessionExpiryInterceptor);
+
+  if (import.meta.env.DEV) {
+    registerTimingInterceptors();
+  }
+}
@@ -1,16 +1,28 @@
 /**
  * @fileoverview Entry point for the Tudu client application.
- * Initializes global styles and starts the client-side router.
+ * Initializes global styles, registers the HTTP interceptors and starts the client-side router.
  * @author Tudu Development Team
  * @version 1.0.0
  */
 
+import { registerDefaultInterceptors } from './api/interceptors.js';
 import { initRouter } from './routes/route.js';
+import { startReminders } from './services/reminderService.js';
 import './styles/base.css';
 
+/**
+ * Plug authentication, session expiry and request tracing into every API call.
+ */
+registerDefaultInterceptors();
+
 /**
  * Initialize the application.
  * Sets up the client-side router to handle hash-based navigation
  * and renders the appropriate view based on the current URL.
  */
-initRouter();
\ No newline at end of file
+initRouter();
+
+/**
+ * Schedule due-date reminders for the tasks loaded while the app is open.
+ */
+startReminders();
\ No newline at end of file
@@ -13,6 +13,9 @@ import { initSignup } from '../views/js/signUpView.js';
 import { initSitemap } from '../views/js/sitemapView.js';
 import { initUserProfile } from '../views/js/userProfileView.js';
 import { initAboutUs } from '../views/js/aboutUsView.js';
+import { initTrash } from '../views/js/trashView.js';
+import { initArchive } from '../views/js/archiveView.js';
+import { initCalendar } from '../views/js/calendarView.js';
 
 /** @type {HTMLElement} Main application container */
 const app = document.getElementById("app");
@@ -67,6 +70,15 @@ async function loadView(name, token = null) {
     case "user-profile":
       await initUserProfile();
       break;
+    case "trash":
+      await initTrash();
+      break;
+    case "archive":
+      await initArchive();
+      break;
+    case "calendar":
+      await initCalendar();
+      break;
     default:
       console.warn(`No initializer found for view: ${name}`);
   }
@@ -85,12 +97,13 @@ export function initRouter() {
 /**
  * Handles the current route based on the location hash.
  * Provides fallback to 'home' for unknown routes and error handling.
- * Supports parameterized routes like /reset-password/:token
+ * Supports parameterized routes like /reset-password/:token; query strings such as
+ * `#/dashboard?task=123` are left for the view to read.
  * @private
  */
 function handleRoute() {
   const path =
-    (location.hash.startsWith("#/") ? location.hash.slice(2) : "") || "home";
+    (location.hash.startsWith("#/") ? location.hash.slice(2).split("?")[0] : "") || "home";
 
   // Handle parameterized routes for password reset
   if (path.startsWith("reset-password/") || path.startsWith("recovery-password/")) {
@@ -104,7 +117,7 @@ function handleRoute() {
     }
   }
 
-  const known = ["home", "board", "sign-in", "sign-up", "dashboard", "sitemap", "user-profile", "about-us"];
+  const known = ["home", "board", "sign-in", "sign-up", "dashboard", "sitemap", "user-profile", "about-us", "trash", "archive", "calendar"];
   const route = known.includes(path) ? path : "home";
 
   loadView(route).catch((err) => {
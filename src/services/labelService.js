@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Label service module for user-defined task labels.
+ * Label definitions (name and color) are stored per user in the preferences;
+ * tasks keep the IDs of their labels in their `labels` field.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { getPreference, setPreference } from "../utils/preferences.js";
+import { taskStore } from "./taskStore.js";
+import { updateTask } from "./taskService.js";
+
+/**
+ * Colors offered for new labels, used in turn.
+ * @type {string[]}
+ */
+export const LABEL_COLORS = ["#01ab53", "#1565c0", "#e65100", "#8e24aa", "#c62828", "#00838f", "#6d4c41"];
+
+/**
+ * Preference key holding the label definitions.
+ * @type {string}
+ * @private
+ */
+const LABELS_KEY = "labels";
+
+/**
+ * Returns the labels defined by the current user.
+ * @returns {{id: string, name: string, color: string}[]} Labels in creation order
+ * @example
+ * getLabels().forEach((label) => console.log(label.name, label.color));
+ */
+export function getLabels() {
+  const labels = getPreference(LABELS_KEY, []);
+  return Array.isArray(labels) ? labels.filter((label) => label?.id && label.name) : [];
+}
+
+/**
+ * Returns a label by ID.
+ * @param {string} id - Label ID
+ * @returns {Object|undefined} The label, if defined
+ */
+export function getLabel(id) {
+  return getLabels().find((label) => label.id === id);
+}
+
+/**
+ * Creates a label.
+ * @param {Object} labelData - Label data
+ * @param {string} labelData.name - Label name, unique ignoring case
+ * @param {string} [labelData.color] - Hex color (#rrggbb); the next palette color by default
+ * @returns {Object} Created label
+ * @throws {Error} If the name is empty or already used
+ * @example
+ * const work = createLabel({ name: "Trabajo", color: "#1565c0" });
+ */
+export function createLabel({ name, color }) {
+  const labels = getLabels();
+  const label = {
+    id: `lbl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: validateName(name, labels),
+    color: isHexColor(color) ? color : LABEL_COLORS[labels.length % LABEL_COLORS.length],
+  };
+
+  setPreference(LABELS_KEY, [...labels, label]);
+  return label;
+}
+
+/**
+ * Renames or recolors a label.
+ * @param {string} id - Label ID
+ * @param {Object} changes - Fields to change
+ * @param {string} [changes.name] - New name
+ * @param {string} [changes.color] - New hex color
+ * @returns {Object} Updated label
+ * @throws {Error} If the label does not exist or the name is invalid
+ */
+export function updateLabel(id, { name, color }) {
+  const labels = getLabels();
+  const current = labels.find((label) => label.id === id);
+  if (!current) throw new Error("La etiqueta no existe");
+
+  const updated = {
+    ...current,
+    name: name === undefined ? current.name : validateName(name, labels, id),
+    color: isHexColor(color) ? color : current.color,
+  };
+
+  setPreference(LABELS_KEY, labels.map((label) => (label.id === id ? updated : label)));
+  return updated;
+}
+
+/**
+ * Deletes a label and removes it from the stored tasks that have it.
+ * Tasks that fail to update keep the ID, which is ignored since the label no longer exists.
+ * @async
+ * @param {string} id - Label ID
+ * @returns {Promise<void>}
+ */
+export async function deleteLabel(id) {
+  setPreference(LABELS_KEY, getLabels().filter((label) => label.id !== id));
+
+  const tagged = taskStore.getAll().filter((task) => task.labels?.includes(id));
+  const results = await Promise.allSettled(
+    tagged.map((task) => updateTask(task.id, { labels: task.labels.filter((labelId) => labelId !== id) }))
+  );
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      console.warn(`No se pudo quitar la etiqueta de la tarea ${tagged[index].id}:`, result.reason);
+    }
+  });
+}
+
+/**
+ * Whether a value is a hex color such as "#01ab53".
+ * Label colors end up in inline styles, so only this format is accepted.
+ * @param {string} color - Value to check
+ * @returns {boolean} True for #rrggbb colors
+ */
+export function isHexColor(color) {
+  return typeof color === "string" && /^#[0-9a-f]{6}$/i.test(color);
+}
+
+/**
+ * Trims a label name and checks that it is not empty or already used.
+ * @private
+ * @param {string} name - Requested name
+ * @param {Object[]} labels - Existing labels
+ * @param {string} [ownId] - ID of the label being renamed
+ * @returns {string} Trimmed name
+ * @throws {Error} If the name is empty or used by another label
+ */
+function validateName(name, labels, ownId) {
+  const trimmed = (name || "").trim();
+  if (!trimmed) throw new Error("El nombre de la etiqueta es obligatorio");
+
+  const taken = labels.some((label) => label.id !== ownId && label.name.toLowerCase() === trimmed.toLowerCase());
+  if (taken) throw new Error(`Ya existe una etiqueta llamada "${trimmed}"`);
+
+  return trimmed;
+}
@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Due-date reminders for tasks.
+ * While the app is open, schedules a timer for every reminder of the stored tasks
+ * and delivers it through the Web Notifications API, falling back to a toast
+ * when notifications are unavailable or not allowed. Clicking a reminder opens
+ * the task in the dashboard.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { showActionToast } from "../utils/notifications.js";
+import { getPreference, setPreference } from "../utils/preferences.js";
+import { isArchived, isCompleted, isTrashed } from "./taskService.js";
+import { taskStore } from "./taskStore.js";
+
+/**
+ * Reminder offsets offered to the user, in minutes before the due date.
+ * @type {number[]}
+ */
+export const REMINDER_OFFSETS = [0, 15, 60, 1440];
+
+/**
+ * Messages shown for each reminder offset.
+ * @type {Object<number, string>}
+ * @private
+ */
+const OFFSET_MESSAGES = {
+  0: "Vence ahora",
+  15: "Vence en 15 minutos",
+  60: "Vence en 1 hora",
+  1440: "Vence mañana",
+};
+
+/**
+ * Longest delay accepted by setTimeout; later reminders wait for a rescan.
+ * @type {number}
+ * @private
+ */
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+/**
+ * Interval between rescans of the stored tasks, for reminders too far away to schedule.
+ * @type {number}
+ * @private
+ */
+const RESCAN_INTERVAL = 12 * 60 * 60 * 1000;
+
+/**
+ * Reminders missed by at most this long (e.g. while the app was loading) are still delivered.
+ * @type {number}
+ * @private
+ */
+const MISSED_GRACE = 5 * 60 * 1000;
+
+/**
+ * Number of delivered reminder keys remembered to avoid repeating them after a reload.
+ * @type {number}
+ * @private
+ */
+const DELIVERED_LIMIT = 200;
+
+/**
+ * Pending reminder timers by reminder key.
+ * @type {Map<string, number>}
+ * @private
+ */
+const timers = new Map();
+
+/**
+ * Function that stops listening to the task store, while reminders are running.
+ * @type {Function|null}
+ * @private
+ */
+let unsubscribe = null;
+
+/**
+ * Interval ID of the periodic rescan.
+ * @type {number|null}
+ * @private
+ */
+let rescanTimer = null;
+
+/**
+ * Function of the open view that shows a task, if the view registered one.
+ * @type {function(string): void|null}
+ * @private
+ */
+let taskOpener = null;
+
+/**
+ * Starts scheduling the reminders of the stored tasks and keeps them in sync
+ * with every change of the store. Calling it again does nothing.
+ * @public
+ * @example
+ * startReminders(); // once, when the app starts
+ */
+export function startReminders() {
+  if (unsubscribe) return;
+
+  unsubscribe = taskStore.subscribe(scheduleReminders);
+  rescanTimer = setInterval(scheduleReminders, RESCAN_INTERVAL);
+  scheduleReminders();
+}
+
+/**
+ * Cancels every scheduled reminder and stops listening to the task store.
+ * @public
+ */
+export function stopReminders() {
+  unsubscribe?.();
+  unsubscribe = null;
+  clearInterval(rescanTimer);
+  rescanTimer = null;
+  timers.forEach((timer) => clearTimeout(timer));
+  timers.clear();
+}
+
+/**
+ * Registers how the open view shows a task, so a reminder opens it in place:
+ * navigating to the task route would do nothing when that route is already open.
+ * @param {function(string): void} opener - Called with the ID of the task
+ * @returns {Function} Function that removes the opener, when the view is left
+ * @public
+ * @example
+ * const removeOpener = setTaskOpener((taskId) => openEditModal(taskStore.get(taskId)));
+ */
+export function setTaskOpener(opener) {
+  taskOpener = opener;
+  return () => {
+    if (taskOpener === opener) taskOpener = null;
+  };
+}
+
+/**
+ * Asks the browser for permission to show notifications, if it was not decided yet.
+ * Must be called from a user action, such as checking a reminder option.
+ * @async
+ * @returns {Promise<boolean>} True if notifications can be shown
+ * @public
+ */
+export async function requestReminderPermission() {
+  if (!("Notification" in window)) return false;
+  if (Notification.permission === "default") {
+    try {
+      await Notification.requestPermission();
+    } catch (err) {
+      console.warn("No se pudo solicitar permiso de notificaciones:", err);
+    }
+  }
+  return Notification.permission === "granted";
+}
+
+/**
+ * Schedules the pending reminders of the stored tasks and cancels the ones that
+ * no longer apply (task completed, deleted, rescheduled or reminder removed).
+ * @private
+ */
+function scheduleReminders() {
+  const now = Date.now();
+  const pending = new Map();
+
+  taskStore.getAll().forEach((task) => {
+    if (!task.dueDate || !task.reminders?.length || task.syncing) return;
+    if (isCompleted(task) || isTrashed(task) || isArchived(task)) return;
+
+    const due = new Date(task.dueDate).getTime();
+    if (isNaN(due)) return;
+
+    task.reminders.forEach((offset) => {
+      const at = due - offset * 60 * 1000;
+      // La fecha forma parte de la clave para volver a avisar si la tarea se reprograma
+      const key = `${task.id}:${offset}:${due}`;
+      if (at < now - MISSED_GRACE || isDelivered(key)) return;
+      pending.set(key, { taskId: task.id, offset, at });
+    });
+  });
+
+  timers.forEach((timer, key) => {
+    if (!pending.has(key)) {
+      clearTimeout(timer);
+      timers.delete(key);
+    }
+  });
+
+  pending.forEach(({ taskId, offset, at }, key) => {
+    const delay = Math.max(0, at - now);
+    if (timers.has(key) || delay > MAX_TIMEOUT) return;
+
+    timers.set(key, setTimeout(() => {
+      timers.delete(key);
+      deliverReminder(key, taskId, offset);
+    }, delay));
+  });
+}
+
+/**
+ * Shows a reminder as a browser notification, or as a toast when notifications are not allowed.
+ * @private
+ */
+function deliverReminder(key, taskId, offset) {
+  const task = taskStore.get(taskId);
+  if (!task) return;
+  markDelivered(key);
+
+  const title = `⏰ ${task.title || "Tarea"}`;
+  const body = OFFSET_MESSAGES[offset] || "Recordatorio de tarea";
+
+  if ("Notification" in window && Notification.permission === "granted") {
+    try {
+      const notification = new Notification(title, { body, tag: key });
+      notification.onclick = () => {
+        window.focus();
+        openTask(taskId);
+        notification.close();
+      };
+      return;
+    } catch (err) {
+      // Algunos navegadores móviles solo permiten notificaciones desde un service worker
+      console.warn("No se pudo mostrar la notificación:", err);
+    }
+  }
+
+  showActionToast(`${title} · ${body}`, {
+    actionLabel: "Abrir",
+    onAction: () => openTask(taskId),
+    duration: 15000,
+  });
+}
+
+/**
+ * Opens a task in the view that registered an opener, or else in the dashboard.
+ * @private
+ */
+function openTask(taskId) {
+  if (taskOpener) {
+    taskOpener(taskId);
+    return;
+  }
+  location.hash = `#/dashboard?task=${encodeURIComponent(taskId)}`;
+}
+
+/**
+ * Whether a reminder was already delivered, possibly before a reload.
+ * @private
+ */
+function isDelivered(key) {
+  return getPreference("deliveredReminders", []).includes(key);
+}
+
+/**
+ * Remembers a delivered reminder, keeping only the most recent ones.
+ * @private
+ */
+function markDelivered(key) {
+  const delivered = getPreference("deliveredReminders", []);
+  setPreference("deliveredReminders", [...delivered, key].slice(-DELIVERED_LIMIT));
+}
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Saved views of the dashboard: named combinations of the filter
+ * bar, stored per user in the preferences. The ID of a view is derived from its
+ * name, so it reads well in the hash route (`#/dashboard?view=semana`).
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { getPreference, setPreference } from "../utils/preferences.js";
+import { normalizeText } from "../utils/search.js";
+import { isEmptyFilter, normalizeFilter } from "../utils/taskFilters.js";
+
+/**
+ * Preference key holding the saved views.
+ * @type {string}
+ * @private
+ */
+const VIEWS_KEY = "savedViews";
+
+/**
+ * Returns the views saved by the current user.
+ * @returns {{id: string, name: string, filter: Object}[]} Views sorted by name
+ * @example
+ * getSavedViews().forEach((view) => console.log(view.id, view.name));
+ */
+export function getSavedViews() {
+  const views = getPreference(VIEWS_KEY, []);
+  if (!Array.isArray(views)) return [];
+
+  return views
+    .filter((view) => view?.id && view.name)
+    .map((view) => ({ ...view, filter: normalizeFilter(view.filter) }))
+    .sort((a, b) => a.name.localeCompare(b.name, "es"));
+}
+
+/**
+ * Returns a saved view by ID.
+ * @param {string} id - View ID
+ * @returns {Object|undefined} The view, if saved
+ */
+export function getSavedView(id) {
+  return getSavedViews().find((view) => view.id === id);
+}
+
+/**
+ * Saves a filter under a name. Saving with the name of an existing view replaces its filter.
+ * @param {string} name - View name
+ * @param {Object} filter - Filter of the filter bar
+ * @returns {Object} Saved view
+ * @throws {Error} If the name is empty or the filter lets every task through
+ * @example
+ * const view = saveView("Semana", { ...createEmptyFilter(), dueFrom: "2025-03-03", dueTo: "2025-03-09" });
+ * location.hash = `#/dashboard?view=${view.id}`;
+ */
+export function saveView(name, filter) {
+  const trimmed = (name || "").trim();
+  if (!trimmed) throw new Error("El nombre de la vista es obligatorio");
+  if (isEmptyFilter(filter)) throw new Error("Elige algún filtro antes de guardar la vista");
+
+  const id = toViewId(trimmed);
+  if (!id) throw new Error("El nombre de la vista debe tener letras o números");
+
+  const view = { id, name: trimmed, filter: normalizeFilter(filter) };
+  setPreference(VIEWS_KEY, [...getSavedViews().filter((saved) => saved.id !== id), view]);
+  return view;
+}
+
+/**
+ * Deletes a saved view.
+ * @param {string} id - View ID
+ */
+export function deleteView(id) {
+  setPreference(VIEWS_KEY, getSavedViews().filter((view) => view.id !== id));
+}
+
+/**
+ * Builds the ID of a view from its name, e.g. "Esta semana" → "esta-semana".
+ * @private
+ */
+function toViewId(name) {
+  return normalizeText(name).replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
@@ -1,16 +1,126 @@
 /**
  * @fileoverview Task service module for task management operations.
- * Provides functions for CRUD operations on tasks with authentication.
+ * Provides functions for CRUD operations on tasks. Authentication is handled by the HTTP client.
+ * Every result is written into the task store, which views render from. Mutations are
+ * optimistic: the store changes right away, is reconciled with the server response and
+ * rolled back if the request fails. Tasks waiting for the server carry `syncing: true`.
+ * The task API only stores title, detail, date and state; the other fields (priority,
+ * labels, checklist, recurrence, reminders, trash and archive dates) are kept per user
+ * in the preferences, keyed by task ID, and merged into the tasks the server returns.
  * @author Tudu Development Team
  * @version 1.0.0
  */
 
 import { http } from "../api/http.js";
+import { getPreference, setPreference } from "../utils/preferences.js";
+import { getNextOccurrence, normalizeRecurrence } from "../utils/recurrence.js";
+import { taskStore } from "./taskStore.js";
 
 /**
- * Retrieves all tasks for the authenticated user.
- * Maps backend task format to frontend format.
+ * Counter used to build temporary IDs for tasks not yet created on the server.
+ * @type {number}
+ * @private
+ */
+let tempIdSequence = 0;
+
+/**
+ * Task fields the task API does not store, kept in the preferences under the same
+ * name and value they have in the frontend.
+ * @type {string[]}
+ * @private
+ */
+const LOCAL_FIELDS = ["priority", "labels", "checklist", "recurrence", "reminders", "deletedAt", "archivedAt", "completedAt"];
+
+/**
+ * Preference key holding the local fields of the tasks, by task ID.
+ * @type {string}
+ * @private
+ */
+const LOCAL_FIELDS_KEY = "taskFields";
+
+/**
+ * Task fields copied from one occurrence of a repeating task to the next.
+ * @type {string[]}
+ * @private
+ */
+const TEMPLATE_FIELDS = ["title", "detail", "priority", "labels", "checklist", "reminders"];
+
+/**
+ * Task priorities, from lowest to highest.
+ * @type {string[]}
+ */
+export const TASK_PRIORITIES = ["baja", "media", "alta", "urgente"];
+
+/**
+ * Priority of new tasks and of tasks created before priorities existed.
+ * @type {string}
+ */
+export const DEFAULT_PRIORITY = "media";
+
+/**
+ * Task statuses in workflow order. `key` is the board column, also used by the
+ * forms and filters; `value` is the status of tasks in frontend format; `label`
+ * is the name shown to the user, which is also the state stored by the task API.
+ * @type {{key: string, value: string, label: string}[]}
+ */
+export const TASK_STATUSES = [
+  { key: "pending", value: "todo", label: "Por Hacer" },
+  { key: "progress", value: "progress", label: "Haciendo" },
+  { key: "completed", value: "done", label: "Hecho" },
+];
+
+/**
+ * Board column of every accepted status value: frontend values, column keys and
+ * the values used by older versions.
+ * @type {Object<string, string>}
+ * @private
+ */
+const STATUS_COLUMNS = {
+  todo: "pending",
+  pending: "pending",
+  pendiente: "pending",
+  progress: "progress",
+  in_progress: "progress",
+  en_progreso: "progress",
+  done: "completed",
+  completed: "completed",
+  completada: "completed",
+};
+
+/**
+ * Days a task stays in the trash before it is purged, unless the user chose otherwise.
+ * @type {number}
+ */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Days a completed task stays on the board before it is archived, unless the user chose otherwise.
+ * @type {number}
+ */
+export const DEFAULT_ARCHIVE_AFTER_DAYS = 7;
+
+/**
+ * Number of requests a batch operation keeps in flight at the same time.
+ * @type {number}
+ * @private
+ */
+const BATCH_SIZE = 5;
+
+/**
+ * Milliseconds in a day.
+ * @type {number}
+ * @private
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Retrieves all tasks for the authenticated user and replaces the store content.
+ * Maps backend task format to frontend format. Changes made while the list was
+ * loading are kept: tasks created, changed or removed meanwhile, and tasks
+ * waiting for the server, which keep their optimistic version.
  * @async
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
  * @returns {Promise<Object[]>} Array of user tasks
  * @throws {Error} If the request fails or user is not authenticated
  * @example
@@ -21,29 +131,69 @@ import { http } from "../api/http.js";
  *   console.error("Failed to load tasks:", err.message);
  * }
  */
-export async function getTasks() {
-  const token = localStorage.getItem("token");
-  const tasks = await http.get("/tasks", {
-    headers: {
-      Authorization: `Bearer ${token}`,
-    },
-  });
+export async function getTasks({ signal } = {}) {
+  const storedBefore = new Map(taskStore.getAll().map((task) => [task.id, task]));
+  const localBefore = Object.keys(getPreference(LOCAL_FIELDS_KEY, {}) ?? {});
+  const tasks = await http.get("/tasks", { signal });
+  if (!Array.isArray(tasks)) {
+    throw new Error("Formato de datos incorrecto");
+  }
+
+  const current = new Map(taskStore.getAll().map((task) => [task.id, task]));
+  const mapped = tasks.map(fromServer);
+  const loadedIds = new Set(mapped.map((task) => task.id));
+  const merged = [
+    ...mapped
+      // Las tareas eliminadas durante la carga no vuelven
+      .filter((task) => !storedBefore.has(task.id) || current.has(task.id))
+      .map((task) => {
+        const stored = current.get(task.id);
+        // La respuesta puede ser anterior a un cambio hecho durante la carga
+        const changed = stored && (stored.syncing || stored !== storedBefore.get(task.id));
+        return changed ? stored : task;
+      }),
+    // Las creadas durante la carga o aún pendientes del servidor no vienen en la respuesta
+    ...[...current.values()].filter((task) => !loadedIds.has(task.id) && (task.syncing || !storedBefore.has(task.id))),
+  ];
 
-  return tasks.map((t) => ({
-    ...t,
-    dueDate: t.date,
-    status: mapState(t.state),
-  }));
+  forgetMissingTasks(localBefore, merged.map((task) => task.id));
+  taskStore.setAll(merged);
+  return merged;
+}
+
+/**
+ * Retrieves a single task by ID with all its fields and updates it in the store.
+ * @async
+ * @param {string} taskId - The ID of the task
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @returns {Promise<Object>} The task in frontend format
+ * @throws {Error} If the task does not exist or the request fails
+ * @example
+ * const task = await getTaskById('task123');
+ * console.log(task.title, task.dueDate);
+ */
+export async function getTaskById(taskId, { signal } = {}) {
+  const task = fromServer(await http.get(`/tasks/${taskId}`, { signal }));
+  taskStore.upsert(task);
+  return task;
 }
 
 /**
  * Creates a new task for the authenticated user.
+ * A temporary task is added to the store right away and replaced by the
+ * created one, or removed if the request fails.
  * @async
  * @param {Object} taskData - Task creation data
  * @param {string} taskData.title - Task title
  * @param {string} taskData.detail - Task description/details
  * @param {string} [taskData.dueDate] - Due date in ISO format (optional)
  * @param {string} [taskData.status='pending'] - Task status
+ * @param {string} [taskData.priority='media'] - Task priority ('baja', 'media', 'alta', 'urgente')
+ * @param {string[]} [taskData.labels=[]] - IDs of the task labels
+ * @param {{id: string, text: string, done: boolean}[]} [taskData.checklist=[]] - Checklist items
+ * @param {Object|null} [taskData.recurrence] - Recurrence rule (see utils/recurrence.js)
+ * @param {number[]} [taskData.reminders=[]] - Reminder offsets, in minutes before the due date
  * @returns {Promise<Object>} Created task object
  * @throws {Error} If the creation fails or user is not authenticated
  * @example
@@ -59,76 +209,221 @@ export async function getTasks() {
  *   console.error("Failed to create task:", err.message);
  * }
  */
-export async function createTask({ title, detail, dueDate, status }) {
-  const token = localStorage.getItem("token");
-
-  let formattedDate = null;
-  if (dueDate) {
-    // Si dueDate ya incluye tiempo, usarlo directamente
-    if (dueDate.includes('T')) {
-      formattedDate = dueDate;
-    } else {
-      // Si solo es fecha, agregar hora por defecto
-      formattedDate = `${dueDate}T12:00:00.000Z`;
-    }
-  }
-  
+export async function createTask({ title, detail, dueDate, status, priority, labels = [], checklist = [], recurrence = null, reminders = [] }) {
   const taskPayload = {
     title,
     detail,
-    date: formattedDate,
+    date: formatDueDate(dueDate),
     state: mapStatus(status),
+    priority: normalizePriority(priority),
+    labels,
+    checklist,
+    recurrence: prepareRecurrence(recurrence, null),
+    reminders: normalizeReminders(reminders),
   };
-  return http.post("/tasks", taskPayload, {
-    headers: {
-      Authorization: `Bearer ${token}`,
-    },
-  });
+  if (taskPayload.state === "Hecho") {
+    taskPayload.completedAt = new Date().toISOString();
+  }
+  const tempId = `tmp-${Date.now()}-${++tempIdSequence}`;
+  taskStore.upsert({ ...fromBackend({ ...taskPayload, id: tempId }), syncing: true });
+
+  const { remote, local } = splitPayload(taskPayload);
+  let created;
+  try {
+    created = await http.post("/tasks", remote);
+  } finally {
+    taskStore.remove(tempId);
+  }
+
+  const createdId = created?._id ?? created?.id;
+  if (createdId === undefined || createdId === null) {
+    // Sin la tarea en la respuesta, recargar la lista para incluirla; sin ID no hay dónde guardar los campos locales
+    await getTasks();
+    return created;
+  }
+
+  writeLocalFields(String(createdId), local);
+  const task = fromServer(created);
+  taskStore.upsert(task);
+  return task;
 }
 
 /**
- * Updates an existing task with new information.
+ * Partially updates an existing task.
+ * Only the fields present in `changes` are sent, so fields left out keep their
+ * current value on the server. Fields equal to their value in `previous` (by
+ * default the stored task) are skipped as well. The stored task changes right away
+ * and is restored if the request fails. Completing an occurrence of a repeating
+ * task does not create the next one here: status changes made by the user go
+ * through `updateTaskStatus` or `continueSeries`, so undoing them is not mistaken
+ * for a new completion.
  * @async
  * @param {string} taskId - The ID of the task to update
- * @param {Object} updates - Object containing fields to update
- * @returns {Promise<Object>} Updated task object
+ * @param {Object} changes - Fields to change, using frontend names
+ * @param {string} [changes.title] - New title
+ * @param {string} [changes.detail] - New description
+ * @param {string|null} [changes.dueDate] - New due date (null clears it)
+ * @param {string} [changes.status] - New status ('pending', 'progress', 'completed')
+ * @param {string} [changes.priority] - New priority ('baja', 'media', 'alta', 'urgente')
+ * @param {string[]} [changes.labels] - IDs of the task labels
+ * @param {Object[]} [changes.checklist] - Checklist items, in display order
+ * @param {Object|null} [changes.recurrence] - Recurrence rule (null stops repeating)
+ * @param {number[]} [changes.reminders] - Reminder offsets, in minutes before the due date
+ * @param {string|null} [changes.deletedAt] - Date the task was moved to the trash (null restores it)
+ * @param {string|null} [changes.archivedAt] - Date the task was archived (null unarchives it)
+ * @param {string|null} [changes.completedAt] - Date the task was completed; set automatically on status changes
+ * @param {Object} [options] - Update options
+ * @param {Object} [options.previous] - Current task, used to drop unchanged fields; defaults to the stored one
+ * @returns {Promise<Object|null>} Updated task, or `previous` when nothing changed
  * @throws {Error} If the update fails or user is not authenticated
  * @example
  * try {
- *   const updated = await updateTask('task123', { 
- *     title: 'Updated title',
- *     state: 'Hecho' 
- *   });
+ *   const updated = await updateTask('task123', { status: 'completed' });
  *   console.log("Task updated:", updated);
  * } catch (err) {
  *   console.error("Failed to update task:", err.message);
  * }
  */
-export async function updateTask(taskId, updates) {
-  const token = localStorage.getItem("token");
+export async function updateTask(taskId, changes, { previous = taskStore.get(taskId) ?? null } = {}) {
+  const payload = toBackendChanges(changes, previous);
 
-  let formattedDate = updates.date;
-  if (updates.date && !updates.date.includes('T')) {
-    formattedDate = `${updates.date}T12:00:00.000Z`;
+  if (Object.keys(payload).length === 0) {
+    return previous;
   }
 
-  // Ensure we're sending the correct structure to the backend
-  const payload = {
-    title: updates.title,
-    detail: updates.detail,
-    date: formattedDate,
-    state: updates.state
-  };
+  const optimistic = fromBackend({ ...(previous ?? { id: taskId }), ...payload });
+  const { remote, local } = splitPayload(payload);
+  const sendsRemote = Object.keys(remote).length > 0;
 
-  return http.put(`/tasks/${taskId}`, payload, {
-    headers: {
-      Authorization: `Bearer ${token}`,
-    },
-  });
+  let updated = null;
+  if (sendsRemote) {
+    if (previous) {
+      taskStore.upsert({ ...optimistic, syncing: true });
+    }
+
+    try {
+      updated = await http.put(`/tasks/${taskId}`, remote);
+    } catch (err) {
+      if (previous) taskStore.upsert(previous);
+      throw err;
+    }
+  }
+
+  writeLocalFields(taskId, local);
+  // Si el servidor no devuelve la tarea, conservar la versión local con los cambios enviados
+  const task = updated?._id || updated?.id ? fromServer(updated) : optimistic;
+  taskStore.upsert(task);
+  return task;
+}
+
+/**
+ * Creates the next occurrence of a repeating task that a change has just completed.
+ * Does nothing for tasks that do not repeat, were already completed, or whose series
+ * ended. Undoing the completion should delete the returned occurrence.
+ * @async
+ * @param {Object|null} previous - Task before the change
+ * @param {Object|null} task - Task after the change
+ * @returns {Promise<Object|null>} Created occurrence, or null when none was created
+ * @example
+ * const previous = taskStore.get(taskId);
+ * const task = await updateTask(taskId, changes);
+ * const next = await continueSeries(previous, task);
+ */
+export async function continueSeries(previous, task) {
+  if (!task?.recurrence || !isCompleted(task) || isCompleted(previous)) return null;
+
+  try {
+    return await createNextOccurrence(task);
+  } catch (err) {
+    // La tarea ya se completó; la siguiente se intentará crear al volver a completarla
+    console.error("Error creando la siguiente repetición:", err);
+    return null;
+  }
+}
+
+/**
+ * Whether changes to an occurrence alter the content its series repeats
+ * (title, description, priority, labels, checklist or reminders).
+ * @param {Object} changes - Fields to change, as in updateTask
+ * @param {Object} task - Current task
+ * @returns {boolean} True if a repeated field changes
+ */
+export function hasTemplateChanges(changes, task) {
+  return TEMPLATE_FIELDS.some((field) => field in changes && !isSameValue(changes[field] ?? null, task[field] ?? null));
+}
+
+/**
+ * Returns the later pending occurrences of the series of a repeating task, the
+ * ones `updateTaskSeries` updates along with it.
+ * @param {string} taskId - The ID of an occurrence
+ * @returns {Object[]} Later occurrences; empty for tasks that do not repeat
+ */
+export function getLaterOccurrences(taskId) {
+  const task = taskStore.get(taskId);
+  const seriesId = task?.recurrence?.seriesId;
+  if (!seriesId) return [];
+
+  return taskStore.getAll().filter((other) =>
+    other.id !== taskId &&
+    other.recurrence?.seriesId === seriesId &&
+    other.recurrence.occurrence > task.recurrence.occurrence &&
+    !isCompleted(other) &&
+    !isTrashed(other)
+  );
+}
+
+/**
+ * Updates only one occurrence of a repeating task.
+ * The following occurrences keep the previous content; rule changes still apply
+ * to them, since the rule of the latest occurrence drives the series.
+ * For tasks that do not repeat it behaves like updateTask.
+ * @async
+ * @param {string} taskId - The ID of the occurrence
+ * @param {Object} changes - Fields to change, as in updateTask
+ * @returns {Promise<Object|null>} Updated task
+ * @throws {Error} If the update fails
+ */
+export async function updateOccurrence(taskId, changes) {
+  const task = taskStore.get(taskId);
+  if (!task?.recurrence) return updateTask(taskId, changes);
+
+  const rule = "recurrence" in changes ? changes.recurrence : task.recurrence;
+  const occurrenceChanges = { ...changes };
+  if (hasTemplateChanges(changes, task) && rule && !task.recurrence.template) {
+    // Guardar el contenido actual para generar con él las siguientes repeticiones
+    occurrenceChanges.recurrence = { ...rule, template: pickTemplate(task) };
+  }
+  return updateTask(taskId, occurrenceChanges);
+}
+
+/**
+ * Updates an occurrence of a repeating task and every later pending occurrence
+ * of its series. Due dates and states of the later occurrences are kept.
+ * @async
+ * @param {string} taskId - The ID of the occurrence being edited
+ * @param {Object} changes - Fields to change, as in updateTask
+ * @returns {Promise<Object|null>} Updated task
+ * @throws {Error} If the update of the edited occurrence fails
+ */
+export async function updateTaskSeries(taskId, changes) {
+  const task = taskStore.get(taskId);
+  const rule = "recurrence" in changes ? changes.recurrence : task?.recurrence;
+  // Sin plantilla, las siguientes repeticiones usan el contenido nuevo; cada ocurrencia conserva su posición
+  const { occurrence, template, ...seriesRule } = rule ?? {};
+  const seriesChanges = { ...changes, recurrence: rule ? { ...seriesRule, template: null } : null };
+
+  const later = getLaterOccurrences(taskId);
+  const updated = await updateTask(taskId, seriesChanges);
+  if (later.length === 0) return updated;
+
+  const { dueDate, status, ...sharedChanges } = seriesChanges;
+  await settleEach(later, (other) => updateTask(other.id, sharedChanges), "No se pudo actualizar la repetición");
+  return updated;
 }
 
 /**
  * Deletes a task permanently.
+ * The task leaves the store right away and comes back if the request fails.
  * @async
  * @param {string} taskId - The ID of the task to delete
  * @returns {Promise<void>}
@@ -142,31 +437,261 @@ export async function updateTask(taskId, updates) {
  * }
  */
 export async function deleteTask(taskId) {
-  const token = localStorage.getItem("token");
-  return http.del(`/tasks/${taskId}`, {
-    headers: {
-      Authorization: `Bearer ${token}`,
-    },
+  const previous = taskStore.get(taskId);
+  taskStore.remove(taskId);
+
+  let result;
+  try {
+    result = await http.del(`/tasks/${taskId}`);
+  } catch (err) {
+    if (previous) taskStore.upsert(previous);
+    throw err;
+  }
+  writeLocalFields(taskId, null);
+  return result;
+}
+
+/**
+ * Moves a task to the trash. Trashed tasks keep all their data and can be
+ * restored until they are purged.
+ * @async
+ * @param {string} taskId - The ID of the task
+ * @returns {Promise<Object>} Updated task object
+ * @throws {Error} If the update fails
+ * @example
+ * await trashTask('task123');
+ */
+export async function trashTask(taskId) {
+  return updateTask(taskId, { deletedAt: new Date().toISOString() });
+}
+
+/**
+ * Applies the same kind of change to several tasks, a few requests at a time.
+ * Each task is updated optimistically and rolled back on its own if its request
+ * fails, so a batch can partially succeed.
+ * @async
+ * @param {string[]} taskIds - IDs of the tasks to update
+ * @param {Object|function(Object): (Object|null)} changes - Fields to change (see `updateTask`),
+ *   or a function returning the changes of each stored task (null skips the task)
+ * @returns {Promise<{updated: string[], failed: {taskId: string, title: string, error: Error}[]}>}
+ *   IDs of the updated tasks and details of the failed ones
+ * @example
+ * const { updated, failed } = await updateTasks(ids, (task) => (task.priority === "alta" ? null : { priority: "alta" }));
+ * if (failed.length) console.warn(`${failed.length} tareas no se actualizaron`);
+ */
+export async function updateTasks(taskIds, changes) {
+  return runBatch(taskIds, (task) => {
+    const taskChanges = typeof changes === "function" ? changes(task) : changes;
+    return taskChanges ? updateTask(task.id, taskChanges) : null;
   });
 }
 
+/**
+ * Moves several tasks to the trash, a few requests at a time.
+ * @async
+ * @param {string[]} taskIds - IDs of the tasks to trash
+ * @returns {Promise<{updated: string[], failed: {taskId: string, title: string, error: Error}[]}>}
+ *   IDs of the trashed tasks and details of the failed ones
+ */
+export async function trashTasks(taskIds) {
+  const deletedAt = new Date().toISOString();
+  return runBatch(taskIds, (task) => updateTask(task.id, { deletedAt }));
+}
+
+/**
+ * Takes a task out of the trash.
+ * @async
+ * @param {string} taskId - The ID of the task
+ * @returns {Promise<Object>} Updated task object
+ * @throws {Error} If the update fails
+ */
+export async function restoreTask(taskId) {
+  return updateTask(taskId, { deletedAt: null });
+}
+
+/**
+ * Permanently deletes the stored tasks that have been in the trash longer than
+ * the retention period. Failed deletions are logged and retried on the next purge.
+ * @async
+ * @param {number} retentionDays - Days a task is kept in the trash
+ * @returns {Promise<number>} Number of purged tasks
+ * @example
+ * const purged = await purgeExpiredTrash(30);
+ */
+export async function purgeExpiredTrash(retentionDays) {
+  const limit = Date.now() - retentionDays * DAY;
+  const expired = taskStore.getAll().filter(
+    (task) => isTrashed(task) && new Date(task.deletedAt).getTime() <= limit
+  );
+
+  return settleEach(expired, (task) => deleteTask(task.id), "No se pudo purgar la tarea");
+}
+
+/**
+ * Archives a task: it leaves the board but keeps counting in the statistics.
+ * @async
+ * @param {string} taskId - The ID of the task
+ * @returns {Promise<Object>} Updated task object
+ * @throws {Error} If the update fails
+ */
+export async function archiveTask(taskId) {
+  return updateTask(taskId, { archivedAt: new Date().toISOString() });
+}
+
+/**
+ * Takes a task out of the archive and back to the board.
+ * The completion date is reset so the task is not archived again right away.
+ * @async
+ * @param {string} taskId - The ID of the task
+ * @returns {Promise<Object>} Updated task object
+ * @throws {Error} If the update fails
+ */
+export async function unarchiveTask(taskId) {
+  const task = taskStore.get(taskId);
+  const changes = { archivedAt: null };
+  if (isCompleted(task)) {
+    changes.completedAt = new Date().toISOString();
+  }
+  return updateTask(taskId, changes);
+}
+
+/**
+ * Archives the stored tasks completed longer ago than the given number of days.
+ * Completed tasks without a valid completion date (completed before it was recorded)
+ * get the current date, so they are archived the given number of days from now.
+ * Failed updates are logged and retried on the next run.
+ * @async
+ * @param {number|null} afterDays - Days a completed task stays on the board; null disables archiving
+ * @returns {Promise<number>} Number of archived tasks
+ * @example
+ * const archived = await archiveCompletedTasks(7);
+ */
+export async function archiveCompletedTasks(afterDays) {
+  if (afterDays === null || afterDays === undefined) return 0;
+
+  const limit = Date.now() - afterDays * DAY;
+  const completed = taskStore.getAll().filter(
+    (task) => isCompleted(task) && !isArchived(task) && !isTrashed(task) && !task.syncing
+  );
+  const getCompletedTime = (task) => (task.completedAt ? new Date(task.completedAt).getTime() : NaN);
+
+  // Sin fecha de completado se empieza a contar desde ahora
+  const undated = completed.filter((task) => isNaN(getCompletedTime(task)));
+  const now = new Date().toISOString();
+  await settleEach(undated, (task) => updateTask(task.id, { completedAt: now }), "No se pudo fechar la tarea");
+
+  const expired = completed.filter((task) => getCompletedTime(task) <= limit);
+  return settleEach(expired, (task) => archiveTask(task.id), "No se pudo archivar la tarea");
+}
+
+/**
+ * Counts the checked items of a task checklist.
+ * @param {Object} task - Task in frontend format
+ * @returns {{done: number, total: number}} Checked and total items
+ * @example
+ * const { done, total } = getChecklistProgress(task); // e.g. 3 of 5
+ */
+export function getChecklistProgress(task) {
+  const items = task?.checklist ?? [];
+  return { done: items.filter((item) => item.done).length, total: items.length };
+}
+
+/**
+ * Returns the board column of a status value.
+ * @param {string} status - Status in frontend format ('todo', 'done'...) or a column key
+ * @returns {string} 'pending', 'progress' or 'completed'; unknown values are pending
+ * @example
+ * getStatusColumn(task.status); // → "completed" for a done task
+ */
+export function getStatusColumn(status) {
+  return STATUS_COLUMNS[status?.toLowerCase?.()] ?? "pending";
+}
+
+/**
+ * Whether a task is completed.
+ * @param {Object} task - Task in frontend format
+ * @returns {boolean} True if the task is done
+ */
+export function isCompleted(task) {
+  return getStatusColumn(task?.status) === "completed";
+}
+
+/**
+ * Whether a task is archived.
+ * @param {Object} task - Task in frontend format
+ * @returns {boolean} True if the task was archived
+ */
+export function isArchived(task) {
+  return Boolean(task?.archivedAt);
+}
+
+/**
+ * Whether a task is in the trash.
+ * @param {Object} task - Task in frontend format
+ * @returns {boolean} True if the task was moved to the trash
+ */
+export function isTrashed(task) {
+  return Boolean(task?.deletedAt);
+}
+
+/**
+ * Returns when a task was created.
+ * Tasks saved before the server kept `createdAt` fall back to the timestamp of their ObjectId.
+ * @param {Object} task - Task in frontend format
+ * @returns {Date|null} Creation date, or null if unknown
+ */
+export function getCreatedAt(task) {
+  if (task?.createdAt) {
+    const created = new Date(task.createdAt);
+    if (!isNaN(created.getTime())) return created;
+  }
+  // Los 8 primeros caracteres de un ObjectId son los segundos desde 1970
+  const id = String(task?._id ?? task?.id ?? "");
+  return /^[0-9a-f]{24}$/i.test(id) ? new Date(parseInt(id.slice(0, 8), 16) * 1000) : null;
+}
+
 /**
  * Updates task status for drag & drop operations or status changes.
+ * Completing an occurrence of a repeating task creates the next one, which is
+ * returned so that undoing the change can delete it.
  * @async
  * @param {string} taskId - The ID of the task to update
  * @param {string} newStatus - New status ('pending', 'progress', 'completed')
- * @returns {Promise<Object>} Updated task object
+ * @returns {Promise<{task: Object, nextOccurrence: Object|null}>} Updated task and the occurrence created, if any
  * @throws {Error} If the status update fails
  * @example
  * try {
- *   const updated = await updateTaskStatus('task123', 'completed');
- *   console.log("Task status updated:", updated);
+ *   const { task, nextOccurrence } = await updateTaskStatus('task123', 'completed');
+ *   console.log("Task status updated:", task, nextOccurrence);
  * } catch (err) {
  *   console.error("Failed to update status:", err.message);
  * }
  */
 export async function updateTaskStatus(taskId, newStatus) {
-  return updateTask(taskId, { status: newStatus });
+  const previous = taskStore.get(taskId) ?? null;
+  const task = await updateTask(taskId, { status: newStatus });
+  return { task, nextOccurrence: await continueSeries(previous, task) };
+}
+
+/**
+ * Changes the status of several tasks, a few requests at a time, creating the
+ * next occurrence of the repeating tasks it completes. Tasks that already have
+ * the status are skipped and not reported as updated.
+ * @async
+ * @param {string[]} taskIds - IDs of the tasks
+ * @param {string} newStatus - New status ('pending', 'progress', 'completed')
+ * @returns {Promise<{updated: string[], failed: {taskId: string, title: string, error: Error}[], nextOccurrences: string[]}>}
+ *   IDs of the updated tasks, details of the failed ones and IDs of the created occurrences
+ */
+export async function updateTasksStatus(taskIds, newStatus) {
+  const nextOccurrences = [];
+  const result = await runBatch(taskIds, async (task) => {
+    if (getStatusColumn(task.status) === getStatusColumn(newStatus)) return null;
+    const { nextOccurrence } = await updateTaskStatus(task.id, newStatus);
+    if (nextOccurrence) nextOccurrences.push(nextOccurrence.id);
+    return task.id;
+  });
+  return { ...result, nextOccurrences };
 }
 
 /**
@@ -183,24 +708,380 @@ export async function updateTaskStatus(taskId, newStatus) {
  */
 export async function getTaskStats() {
   try {
-    const tasks = await getTasks();
+    const tasks = (await getTasks()).filter((task) => !isTrashed(task));
+    // Las tareas archivadas siguen contando en su estado
     const stats = {
-      pending: tasks.filter((t) => t.status === "todo").length,
-      progress: tasks.filter((t) => t.status === "progress").length,
-      completed: tasks.filter((t) => t.status === "done").length,
+      pending: tasks.filter((t) => getStatusColumn(t.status) === "pending").length,
+      progress: tasks.filter((t) => getStatusColumn(t.status) === "progress").length,
+      completed: tasks.filter(isCompleted).length,
+      archived: tasks.filter(isArchived).length,
       total: tasks.length,
     };
     return stats;
   } catch (error) {
     console.error("Error getting task stats:", error);
-    return { pending: 0, progress: 0, completed: 0, total: 0 };
+    return { pending: 0, progress: 0, completed: 0, archived: 0, total: 0 };
   }
 }
 
+/**
+ * Returns the user-editable fields of a task in the format accepted by
+ * createTask and updateTask, e.g. to restore a previous version of a task.
+ * @param {Object} task - Task in frontend format
+ * @returns {Object} Editable fields of the task
+ * @example
+ * const before = getEditableFields(task);
+ * // ...later, undo the edit
+ * await updateTask(task.id, before);
+ */
+export function getEditableFields(task) {
+  return {
+    title: task.title,
+    detail: task.detail,
+    dueDate: task.dueDate ?? null,
+    status: task.status,
+    priority: task.priority,
+    labels: task.labels ?? [],
+    checklist: task.checklist ?? [],
+    recurrence: task.recurrence ?? null,
+    reminders: task.reminders ?? [],
+  };
+}
+
 /* ===================================
  * UTILITY FUNCTIONS
  * =================================== */
 
+/**
+ * Maps a backend task to the frontend format.
+ * @private
+ * @param {Object} task - Task as returned by the API
+ * @returns {Object} Task in frontend format, with a string `id` and defaults for the optional fields
+ */
+function fromBackend(task) {
+  return {
+    ...task,
+    id: String(task.id ?? task._id),
+    dueDate: task.date,
+    status: mapState(task.state),
+    priority: normalizePriority(task.priority),
+    labels: Array.isArray(task.labels) ? task.labels : [],
+    checklist: Array.isArray(task.checklist) ? task.checklist.filter((item) => item?.text) : [],
+    recurrence: normalizeRecurrence(task.recurrence),
+    reminders: normalizeReminders(task.reminders),
+  };
+}
+
+/**
+ * Maps a task returned by the server to the frontend format, adding the local
+ * fields saved for it. Fields the server does return are kept when none are saved.
+ * @private
+ * @param {Object} task - Task as returned by the API
+ * @returns {Object} Task in frontend format
+ */
+function fromServer(task) {
+  return fromBackend({ ...task, ...readLocalFields(String(task.id ?? task._id)) });
+}
+
+/**
+ * Splits a backend payload into the fields the task API stores and the local ones.
+ * @private
+ * @param {Object} payload - Payload with backend field names
+ * @returns {{remote: Object, local: Object}} Fields to send and fields to keep locally
+ */
+function splitPayload(payload) {
+  const remote = {};
+  const local = {};
+  Object.entries(payload).forEach(([field, value]) => {
+    if (LOCAL_FIELDS.includes(field)) local[field] = value;
+    else remote[field] = value;
+  });
+  return { remote, local };
+}
+
+/**
+ * Returns the local fields saved for a task.
+ * @private
+ * @param {string} taskId - Task ID
+ * @returns {Object} Saved fields; empty when there are none
+ */
+function readLocalFields(taskId) {
+  const all = getPreference(LOCAL_FIELDS_KEY, {});
+  const fields = all && typeof all === "object" ? all[taskId] : null;
+  return fields && typeof fields === "object" ? fields : {};
+}
+
+/**
+ * Saves local fields of a task, merging them with the saved ones. Null values
+ * remove a field; passing null instead of an object forgets the task.
+ * @private
+ * @param {string} taskId - Task ID
+ * @param {Object|null} changes - Local fields to save
+ */
+function writeLocalFields(taskId, changes) {
+  if (changes && Object.keys(changes).length === 0) return;
+
+  const all = { ...getPreference(LOCAL_FIELDS_KEY, {}) };
+  const fields = changes ? { ...all[taskId], ...changes } : {};
+  Object.keys(fields).forEach((field) => {
+    if (fields[field] === null) delete fields[field];
+  });
+
+  if (Object.keys(fields).length > 0) {
+    all[taskId] = fields;
+  } else {
+    delete all[taskId];
+  }
+  setPreference(LOCAL_FIELDS_KEY, all);
+}
+
+/**
+ * Forgets the local fields of tasks that no longer exist on the server. Only
+ * tasks that had local fields before the list was requested are candidates, so
+ * a task created while it was loading keeps its fields.
+ * @private
+ * @param {string[]} candidateIds - IDs with local fields when the list was requested
+ * @param {string[]} taskIds - IDs of the tasks that still exist
+ */
+function forgetMissingTasks(candidateIds, taskIds) {
+  const all = getPreference(LOCAL_FIELDS_KEY, {});
+  if (!all || typeof all !== "object") return;
+
+  const existing = new Set(taskIds);
+  const missing = new Set(candidateIds.filter((taskId) => !existing.has(taskId)));
+  const kept = Object.fromEntries(Object.entries(all).filter(([taskId]) => !missing.has(taskId)));
+  if (Object.keys(kept).length !== Object.keys(all).length) setPreference(LOCAL_FIELDS_KEY, kept);
+}
+
+/**
+ * Returns the valid reminder offsets of a list, sorted and without duplicates.
+ * @private
+ */
+function normalizeReminders(reminders) {
+  if (!Array.isArray(reminders)) return [];
+  return [...new Set(reminders.map(Number).filter((offset) => Number.isInteger(offset) && offset >= 0))]
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Creates the occurrence following a completed one, unless the series ended or
+ * the next occurrence already exists.
+ * @private
+ * @param {Object} task - Completed occurrence
+ * @returns {Promise<Object|null>} Created occurrence, or null
+ */
+async function createNextOccurrence(task) {
+  const rule = task.recurrence;
+  const nextOccurrence = rule.occurrence + 1;
+  const exists = taskStore.getAll().some(
+    (other) => other.recurrence?.seriesId === rule.seriesId && other.recurrence.occurrence >= nextOccurrence
+  );
+  if (exists) return null;
+
+  const dueDate = getNextOccurrence(rule, task.dueDate || task.completedAt || new Date());
+  if (!dueDate) return null;
+
+  const source = rule.template ?? task;
+  return createTask({
+    title: source.title,
+    detail: source.detail,
+    priority: source.priority,
+    labels: source.labels ?? [],
+    checklist: (source.checklist ?? []).map((item) => ({ ...item, done: false })),
+    reminders: source.reminders ?? [],
+    status: "pending",
+    dueDate: dueDate.toISOString(),
+    recurrence: { ...rule, occurrence: nextOccurrence, template: null },
+  });
+}
+
+/**
+ * Copies the fields of a task that the next occurrences repeat.
+ * @private
+ */
+function pickTemplate(task) {
+  return Object.fromEntries(TEMPLATE_FIELDS.map((field) => [field, task[field]]));
+}
+
+/**
+ * Normalizes a recurrence rule before saving it, keeping the series and
+ * position of the previous rule when the new one does not set them.
+ * @private
+ * @param {Object|null} rule - Rule to save
+ * @param {Object|null} previousRule - Current rule of the task
+ * @returns {Object|null} Rule to send, or null when the task does not repeat
+ */
+function prepareRecurrence(rule, previousRule) {
+  const normalized = normalizeRecurrence(rule ? { occurrence: previousRule?.occurrence, ...rule } : null);
+  if (!normalized) return null;
+
+  return {
+    ...normalized,
+    seriesId: rule.seriesId || previousRule?.seriesId || `series-${Date.now().toString(36)}-${++tempIdSequence}`,
+    template: "template" in rule ? rule.template : previousRule?.template ?? null,
+  };
+}
+
+/**
+ * Returns a known priority, falling back to the default one.
+ * @private
+ */
+function normalizePriority(priority) {
+  return TASK_PRIORITIES.includes(priority) ? priority : DEFAULT_PRIORITY;
+}
+
+/**
+ * Builds the backend payload for a partial task update.
+ * Fields not present in `changes`, or equal to the value in `previous`, are left out.
+ * @private
+ * @param {Object} changes - Changed fields using frontend names
+ * @param {Object|null} previous - Current task in frontend format
+ * @returns {Object} Payload with backend field names
+ */
+function toBackendChanges(changes, previous) {
+  const payload = {};
+  const isChanged = (value, current) => !previous || value !== current;
+
+  if ("title" in changes && isChanged(changes.title, previous?.title)) {
+    payload.title = changes.title;
+  }
+
+  if ("detail" in changes && isChanged(changes.detail, previous?.detail)) {
+    payload.detail = changes.detail;
+  }
+
+  if ("dueDate" in changes && (!previous || !isSameDate(changes.dueDate, previous.dueDate))) {
+    payload.date = formatDueDate(changes.dueDate);
+  }
+
+  if ("status" in changes) {
+    const state = mapStatus(changes.status);
+    if (isChanged(state, previous?.state)) {
+      payload.state = state;
+      // Guardar cuándo se completó la tarea para poder archivarla después
+      if (!("completedAt" in changes)) {
+        if (state === "Hecho") {
+          payload.completedAt = new Date().toISOString();
+        } else if (!previous || previous.completedAt) {
+          payload.completedAt = null;
+        }
+      }
+    }
+  }
+
+  if ("priority" in changes) {
+    changes = { ...changes, priority: normalizePriority(changes.priority) };
+  }
+
+  if ("recurrence" in changes) {
+    changes = { ...changes, recurrence: prepareRecurrence(changes.recurrence, previous?.recurrence) };
+  }
+
+  if ("reminders" in changes) {
+    changes = { ...changes, reminders: normalizeReminders(changes.reminders) };
+  }
+
+  LOCAL_FIELDS.forEach((field) => {
+    if (!(field in changes)) return;
+    const value = changes[field] ?? null;
+    if (!previous || !isSameValue(value, previous[field] ?? null)) {
+      payload[field] = value;
+    }
+  });
+
+  return payload;
+}
+
+/**
+ * Runs an async action on every task, logging the ones that fail.
+ * @private
+ * @param {Object[]} tasks - Tasks to process
+ * @param {function(Object): Promise} action - Action run for each task
+ * @param {string} failureMessage - Log message prefix for failed tasks
+ * @returns {Promise<number>} Number of tasks processed successfully
+ */
+async function settleEach(tasks, action, failureMessage) {
+  const results = await Promise.allSettled(tasks.map(action));
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      console.warn(`${failureMessage} ${tasks[index].id}:`, result.reason);
+    }
+  });
+  return results.filter((result) => result.status === "fulfilled").length;
+}
+
+/**
+ * Runs an action on stored tasks in groups of `BATCH_SIZE` requests and collects
+ * which ones succeeded. Tasks no longer in the store are reported as failed.
+ * @private
+ * @param {string[]} taskIds - IDs of the tasks
+ * @param {function(Object): (Promise|null)} action - Action to run on each task; returning or
+ *   resolving to null skips it, so the task is not reported as updated
+ * @returns {Promise<{updated: string[], failed: {taskId: string, title: string, error: Error}[]}>}
+ */
+async function runBatch(taskIds, action) {
+  const result = { updated: [], failed: [] };
+  const queue = [...new Set(taskIds.map(String))];
+
+  while (queue.length > 0) {
+    const group = queue.splice(0, BATCH_SIZE);
+    const outcomes = await Promise.allSettled(group.map(async (taskId) => {
+      const task = taskStore.get(taskId);
+      if (!task) throw new Error("La tarea no existe");
+      return action(task);
+    }));
+
+    outcomes.forEach((outcome, index) => {
+      const taskId = group[index];
+      if (outcome.status === "fulfilled") {
+        if (outcome.value !== null) result.updated.push(taskId);
+      } else {
+        const title = taskStore.get(taskId)?.title || "Sin título";
+        result.failed.push({ taskId, title, error: outcome.reason });
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Compares two JSON values by content, ignoring the order of object keys.
+ * @private
+ */
+function isSameValue(a, b) {
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortKeys(value[key])]));
+    }
+    return value;
+  };
+  return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+/**
+ * Compares two due dates by instant, treating empty values as equal.
+ * @private
+ */
+function isSameDate(a, b) {
+  if (!a || !b) return !a && !b;
+  return new Date(formatDueDate(a)).getTime() === new Date(formatDueDate(b)).getTime();
+}
+
+/**
+ * Formats a due date for the backend, adding a default time to date-only values.
+ * @private
+ * @param {string|null} dueDate - Date (YYYY-MM-DD) or date-time string
+ * @returns {string|null} Date-time string or null
+ */
+function formatDueDate(dueDate) {
+  if (!dueDate) return null;
+  // Si dueDate ya incluye tiempo, usarlo directamente
+  if (dueDate.includes('T')) return dueDate;
+  // Si solo es fecha, agregar hora por defecto
+  return `${dueDate}T12:00:00.000Z`;
+}
+
 /**
  * Maps frontend status values to backend expected values.
  * @private
@@ -208,16 +1089,8 @@ export async function getTaskStats() {
  * @returns {string} Backend status value
  */
 function mapStatus(status) {
-  switch (status) {
-    case "pending":
-      return "Por Hacer";
-    case "progress":
-      return "Haciendo";
-    case "completed":
-      return "Hecho";
-    default:
-      return "Por Hacer";
-  }
+  const column = getStatusColumn(status);
+  return TASK_STATUSES.find((item) => item.key === column).label;
 }
 
 /**
@@ -227,14 +1100,5 @@ function mapStatus(status) {
  * @returns {string} Frontend status value
  */
 function mapState(state) {
-  switch (state) {
-    case "Por Hacer":
-      return "todo";
-    case "Haciendo":
-      return "progress";
-    case "Hecho":
-      return "done";
-    default:
-      return "todo";
-  }
+  return TASK_STATUSES.find((item) => item.label === state)?.value ?? "todo";
 }
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview In-memory store of the user's tasks.
+ * The task service writes every server result here, and views subscribe to
+ * render from it instead of refetching after each change.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Tasks indexed by ID, in frontend format.
+ * @type {Map<string, Object>}
+ * @private
+ */
+const tasks = new Map();
+
+/**
+ * Functions notified after every change.
+ * @type {Set<Function>}
+ * @private
+ */
+const listeners = new Set();
+
+/**
+ * Whether the store has been filled from the server at least once.
+ * @type {boolean}
+ * @private
+ */
+let loaded = false;
+
+/**
+ * Calls every listener with a description of the change.
+ * @private
+ * @param {{type: string, ids: string[]}} change - Change type ('reset', 'upsert' or 'remove') and affected IDs
+ */
+function notify(change) {
+  listeners.forEach((listener) => {
+    try {
+      listener(change);
+    } catch (err) {
+      console.error("Error en suscriptor de tareas:", err);
+    }
+  });
+}
+
+/**
+ * Returns the stored task unless the new one has exactly the same content,
+ * so unchanged tasks keep their identity and views can skip them.
+ * @private
+ */
+function keepIfUnchanged(next) {
+  const current = tasks.get(next.id);
+  return current && JSON.stringify(current) === JSON.stringify(next) ? current : next;
+}
+
+/**
+ * Task store with subscribe/notify semantics.
+ * Stored task objects are never mutated: a changed task is replaced by a new
+ * object, so comparing references tells whether a task changed.
+ * @namespace
+ */
+export const taskStore = {
+  /**
+   * Whether the store has been filled from the server.
+   * @returns {boolean} True after the first successful load
+   */
+  isLoaded: () => loaded,
+
+  /**
+   * Returns all stored tasks.
+   * @returns {Object[]} Tasks in insertion order
+   */
+  getAll: () => [...tasks.values()],
+
+  /**
+   * Returns a task by ID.
+   * @param {string} id - Task ID
+   * @returns {Object|undefined} The task, if stored
+   */
+  get: (id) => tasks.get(String(id)),
+
+  /**
+   * Replaces the whole content of the store.
+   * @param {Object[]} list - Tasks as loaded from the server, with the changes still pending
+   */
+  setAll(list) {
+    const next = list.map(keepIfUnchanged);
+    tasks.clear();
+    next.forEach((task) => tasks.set(task.id, task));
+    loaded = true;
+    notify({ type: "reset", ids: next.map((task) => task.id) });
+  },
+
+  /**
+   * Adds or replaces a task.
+   * @param {Object} task - Task with an `id`
+   */
+  upsert(task) {
+    const next = keepIfUnchanged(task);
+    if (tasks.get(task.id) === next) return;
+    tasks.set(task.id, next);
+    notify({ type: "upsert", ids: [task.id] });
+  },
+
+  /**
+   * Removes a task.
+   * @param {string} id - Task ID
+   */
+  remove(id) {
+    if (!tasks.delete(String(id))) return;
+    notify({ type: "remove", ids: [String(id)] });
+  },
+
+  /**
+   * Empties the store, e.g. when the session ends.
+   */
+  clear() {
+    tasks.clear();
+    loaded = false;
+    notify({ type: "reset", ids: [] });
+  },
+
+  /**
+   * Registers a listener called after every change.
+   * @param {function({type: string, ids: string[]}): void} listener - Change listener
+   * @returns {Function} Function that removes the listener
+   * @example
+   * const unsubscribe = taskStore.subscribe(() => renderBoard());
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
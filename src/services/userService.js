@@ -6,6 +6,8 @@
  */
 
 import { http } from '../api/http.js';
+import { clearPreferences } from '../utils/preferences.js';
+import { clearSession, getToken } from '../utils/session.js';
 
 /**
  * Registers a new user in the system.
@@ -41,7 +43,7 @@ export async function registerUser({ nombre, apellido, email, password, age }) {
     firstName: nombre,
     lastName: apellido,
     age: parseInt(age)
-  });
+  }, { auth: false });
 
   // Almacenar el nombre después del registro exitoso
   const fullName = `${nombre} ${apellido}`;
@@ -71,12 +73,12 @@ export async function registerUser({ nombre, apellido, email, password, age }) {
  * }
  */
 export async function loginUser({ email, password }) {
-  return http.post('/users/auth/login', { email, password });
+  return http.post('/users/auth/login', { email, password }, { auth: false });
 }
 
 /**
  * Retrieves user profile information by user ID.
- * Requires authentication token in localStorage.
+ * Requires an active session.
  * @async
  * @param {string} userId - The user ID to fetch profile for
  * @returns {Promise<Object>} User profile data
@@ -90,17 +92,12 @@ export async function loginUser({ email, password }) {
  * }
  */
 export async function getUserProfile(userId) {
-  const token = localStorage.getItem('token');
-  return http.get(`/users/me`, {
-    headers: {
-      'Authorization': `Bearer ${token}`
-    }
-  });
+  return http.get(`/users/me`);
 }
 
 /**
  * Updates user profile information.
- * Requires authentication token in localStorage.
+ * Requires an active session.
  * @async
  * @param {string} userId - The user ID to update
  * @param {Object} updates - Profile updates object
@@ -127,14 +124,8 @@ export async function getUserProfile(userId) {
 // }
 
 export async function updateUserProfile(userId, updates) {
-  const token = localStorage.getItem('token');
-  
   // Usar la ruta correcta sin /me
-  const response = await http.put(`/users/me/${userId}`, updates, {
-    headers: {
-      'Authorization': `Bearer ${token}`
-    }
-  });
+  const response = await http.put(`/users/me/${userId}`, updates);
 
   // Si el backend devuelve un nuevo token (cuando se cambia el email), actualizarlo
   if (response.token) {
@@ -200,28 +191,17 @@ export async function updateUserProfile(userId, updates) {
  * }
  */
 export async function logoutUser() {
-  const token = sessionStorage.getItem('token');
-  if (token) {
+  if (getToken()) {
     try {
-      await http.post('/users/auth/logout', {}, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      // Un token ya vencido no debe mostrar el aviso de sesión expirada
+      await http.post('/users/auth/logout', {}, { sessionRedirect: false });
     } catch (error) {
       console.warn('Error during logout on server:', error);
     }
   }
 
   // Limpiar también los datos del nombre del usuario
-  sessionStorage.removeItem('token');
-  sessionStorage.removeItem('userId');
-  sessionStorage.removeItem('userEmail');
-  localStorage.removeItem('token');
-  localStorage.removeItem('userId');
-  localStorage.removeItem('userEmail');
-  localStorage.removeItem('userName');
-  localStorage.removeItem('userFirstName');
+  clearSession();
   location.hash = '#/sign-in';
 }
 
@@ -237,7 +217,7 @@ export async function logoutUser() {
  * }
  */
 export function isAuthenticated() {
-  const token = localStorage.getItem('token');
+  const token = getToken();
   if (!token) return false;
 
   try {
@@ -261,7 +241,7 @@ export function isAuthenticated() {
  * }
  */
 export function getCurrentUser() {
-  const token = localStorage.getItem('token');
+  const token = getToken();
   if (!token) return null;
 
   try {
@@ -291,7 +271,7 @@ export function getCurrentUser() {
  * }
  */
 export async function forgotPassword(email) {
-  return http.post('/users/auth/forgot-password', { email });
+  return http.post('/users/auth/forgot-password', { email }, { auth: false });
 }
 
 /**
@@ -318,7 +298,7 @@ export async function resetPassword(token, { password, confirmPassword }) {
   return http.post(`/users/auth/reset-password/${token}`, {
     password,
     confirmPassword
-  });
+  }, { auth: false });
 }
 
 /**
@@ -338,7 +318,7 @@ export async function validateUserPassword(email, password) {
     const response = await http.post('/users/auth/login', {
       email: email,
       password: password
-    });
+    }, { auth: false });
     return response && response.token;
   } catch (error) {
     console.log('Password validation failed:', error.message);
@@ -347,10 +327,9 @@ export async function validateUserPassword(email, password) {
 }
 
 export async function deleteUserAccount(currentPassword) {
-  const token = localStorage.getItem('token');
   const currentUser = getCurrentUser();
   
-  if (!token || !currentUser) {
+  if (!getToken() || !currentUser) {
     throw new Error('No hay sesión activa');
   }
   
@@ -359,16 +338,14 @@ export async function deleteUserAccount(currentPassword) {
   }
   
   const response = await http.del(`/users/me/${currentUser.userId}`, {
-    headers: {
-      'Authorization': `Bearer ${token}`
-    },
     body: {
       password: currentPassword
     }
   });
   
-  localStorage.clear();
-  sessionStorage.clear();
+  // Las preferencias de la cuenta eliminada no sirven a nadie; las de otras cuentas se conservan
+  clearPreferences();
+  clearSession();
   
   return response;
 }
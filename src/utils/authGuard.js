@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Route guard shared by the views that need a signed-in user.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { isAuthenticated } from '../services/userService.js';
+import { expireSession, getToken } from './session.js';
+
+/**
+ * Checks that there is a valid session and otherwise sends the user to sign in.
+ * A stored but expired token ends the session, so the current route is restored after signing in.
+ * @returns {boolean} True when the view can be shown
+ * @public
+ * @example
+ * export async function initTrash() {
+ *   if (!requireAuth()) return;
+ *   // ...
+ * }
+ */
+export function requireAuth() {
+  if (isAuthenticated()) return true;
+
+  // Un token guardado pero vencido significa que la sesión expiró
+  if (getToken()) {
+    expireSession();
+  } else {
+    location.hash = '#/sign-in';
+  }
+  return false;
+}
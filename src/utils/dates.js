@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Date helpers for form inputs and task due dates.
+ * All values use the browser's local time zone, matching what the user sees.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Formats a date as the value of an `<input type="date">` (YYYY-MM-DD) in local time.
+ * Unlike `toISOString()`, it does not shift the day near midnight.
+ * @param {Date|string|number} value - Date to format
+ * @returns {string} Formatted date, or an empty string for invalid dates
+ * @public
+ */
+export function toDateInputValue(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return "";
+
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Formats a date as the value of an `<input type="time">` (HH:mm) in local time.
+ * @param {Date|string|number} value - Date to format
+ * @returns {string} Formatted time, or an empty string for invalid dates
+ * @public
+ */
+export function toTimeInputValue(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return "";
+
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Combines the values of a date and a time input into a local date-time string.
+ * @param {string} date - Date input value (YYYY-MM-DD)
+ * @param {string} [time] - Time input value (HH:mm)
+ * @param {string} [defaultTime='00:00'] - Time used when `time` is empty
+ * @returns {string|null} Date-time string (YYYY-MM-DDTHH:mm:00), or null without a date
+ * @public
+ */
+export function fromDateInputs(date, time, defaultTime = "00:00") {
+  if (!date) return null;
+  return `${date}T${time || defaultTime}:00`;
+}
+
+/**
+ * Milliseconds in a minute, an hour and a day.
+ * @private
+ */
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Classifies a due date relative to the current time.
+ * The week ends on Sunday night, as in the Spanish calendar.
+ * @param {Date|string|number|null} dueDate - Due date of a task
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string|null} 'overdue', 'today', 'week' or 'later'; null without a valid date
+ * @public
+ * @example
+ * getDueState("2025-03-03T10:00:00", new Date("2025-03-03T12:00:00")); // → 'overdue'
+ */
+export function getDueState(dueDate, now = new Date()) {
+  if (!dueDate) return null;
+  const due = new Date(dueDate);
+  if (isNaN(due.getTime())) return null;
+
+  if (due < now) return "overdue";
+
+  const endOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  if (due < endOfToday) return "today";
+
+  const daysToSunday = (7 - now.getDay()) % 7;
+  const endOfWeek = new Date(now.getFullYear(), now.getMonth(), now.getDate() + daysToSunday + 1);
+  return due < endOfWeek ? "week" : "later";
+}
+
+/**
+ * Describes how far a due date is from the current time, e.g. "vence en 2 h"
+ * or "venció hace 3 días".
+ * @param {Date|string|number} dueDate - Due date of a task
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string} Relative label, or an empty string for invalid dates
+ * @public
+ */
+export function formatRelativeDue(dueDate, now = new Date()) {
+  const due = new Date(dueDate);
+  if (isNaN(due.getTime())) return "";
+
+  const diff = due - now;
+  const distance = Math.abs(diff);
+  if (distance < MINUTE) return diff < 0 ? "acaba de vencer" : "vence ahora";
+
+  let amount;
+  if (distance < HOUR) {
+    amount = `${Math.floor(distance / MINUTE)} min`;
+  } else if (distance < DAY) {
+    amount = `${Math.floor(distance / HOUR)} h`;
+  } else {
+    const days = Math.floor(distance / DAY);
+    amount = days === 1 ? "1 día" : `${days} días`;
+  }
+  return diff < 0 ? `venció hace ${amount}` : `vence en ${amount}`;
+}
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Helpers to show API validation errors next to form fields.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { isApiError } from '../api/apiError.js';
+
+/**
+ * Highlights the inputs rejected by the API and shows their messages below them.
+ * Each highlight is cleared as soon as the user edits the field.
+ * @param {HTMLFormElement} form - Form containing the inputs
+ * @param {Error} error - Error thrown by the request
+ * @param {Object<string, string>} fieldMap - Input IDs by API field name
+ * @returns {boolean} True if at least one field was highlighted
+ * @public
+ * @example
+ * if (!showFieldErrors(form, err, { email: 'sign-up-email' })) {
+ *   showToast(err.message, 'error');
+ * }
+ */
+export function showFieldErrors(form, error, fieldMap) {
+  clearFieldErrors(form);
+  if (!isApiError(error)) return false;
+
+  let shown = false;
+  Object.entries(fieldMap).forEach(([field, inputId]) => {
+    const message = error.getFieldError(field);
+    const input = form.querySelector(`#${inputId}`);
+    if (!message || !input || input.classList.contains('input-error')) return;
+
+    input.classList.add('input-error');
+    input.setAttribute('aria-invalid', 'true');
+
+    const messageEl = document.createElement('div');
+    messageEl.className = 'field-error';
+    messageEl.textContent = `❌ ${message}`;
+    input.insertAdjacentElement('afterend', messageEl);
+
+    input.addEventListener('input', () => clearFieldError(input), { once: true });
+
+    if (!shown) input.focus();
+    shown = true;
+  });
+
+  return shown;
+}
+
+/**
+ * Removes every field highlight added by showFieldErrors.
+ * @param {HTMLFormElement} form - Form containing the inputs
+ * @public
+ */
+export function clearFieldErrors(form) {
+  form.querySelectorAll('.input-error').forEach(clearFieldError);
+}
+
+/**
+ * Removes the highlight and message of one input.
+ * @private
+ */
+function clearFieldError(input) {
+  input.classList.remove('input-error');
+  input.removeAttribute('aria-invalid');
+  if (input.nextElementSibling?.classList.contains('field-error')) {
+    input.nextElementSibling.remove();
+  }
+}
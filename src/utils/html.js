@@ -0,0 +1,32 @@
+/**
+ * @fileoverview HTML and DOM helpers shared by the views.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Escapes HTML special characters so user text can go into markup and attribute values.
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ * @public
+ * @example
+ * card.innerHTML = `<div class="task-title">${escapeHtml(task.title)}</div>`;
+ */
+export function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Whether a keyboard event target is a field the user is typing in, where
+ * keyboard shortcuts must not apply.
+ * @param {EventTarget|null} target - Event target
+ * @returns {boolean} True for inputs, text areas, selects and editable elements
+ * @public
+ */
+export function isTypingTarget(target) {
+  return Boolean(target?.closest?.("input, textarea, select, [contenteditable='true']"));
+}
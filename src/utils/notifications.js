@@ -62,3 +62,60 @@ export function showSuccessToast(message) {
     toast.addEventListener("transitionend", () => toast.remove());
   }, 4000);
 }
+
+/**
+ * Displays a toast notification with an action button, such as "Deshacer".
+ * The toast closes when the action is clicked or after `duration` milliseconds.
+ * @param {string} msg - The message to display
+ * @param {Object} options - Toast options
+ * @param {string} options.actionLabel - Text of the action button
+ * @param {Function} options.onAction - Called when the action button is clicked
+ * @param {number} [options.duration=8000] - Milliseconds before the toast closes
+ * @param {string} [options.type='info'] - The toast type: 'info', 'success', or 'error'
+ * @returns {{dismiss: Function}} Handle to close the toast early
+ * @public
+ */
+export function showActionToast(msg, { actionLabel, onAction, duration = 8000, type = "info" }) {
+  const toast = document.createElement("div");
+  toast.style.cssText = `
+    position: fixed; top: 20px; right: 20px;
+    background: ${type === "error" ? "#dc3545" : type === "success" ? "#28a745" : "#007bff"
+    };
+    color: white; padding: 12px 20px; border-radius: 8px;
+    box-shadow: 0 2px 6px rgba(0,0,0,0.3); z-index: 1000; opacity: 0;
+    transition: opacity 0.3s ease; max-width: 360px;
+    display: flex; align-items: center; gap: 16px;
+  `;
+
+  const text = document.createElement("span");
+  text.textContent = msg;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = actionLabel;
+  button.style.cssText = `
+    background: transparent; color: white; border: 1px solid white;
+    border-radius: 6px; padding: 4px 10px; cursor: pointer; font-weight: 600;
+  `;
+
+  toast.append(text, button);
+  document.body.appendChild(toast);
+  requestAnimationFrame(() => (toast.style.opacity = "1"));
+
+  let dismissed = false;
+  const dismiss = () => {
+    if (dismissed) return;
+    dismissed = true;
+    clearTimeout(timer);
+    toast.style.opacity = "0";
+    toast.addEventListener("transitionend", () => toast.remove());
+  };
+  const timer = setTimeout(dismiss, duration);
+
+  button.addEventListener("click", () => {
+    dismiss();
+    onAction();
+  });
+
+  return { dismiss };
+}
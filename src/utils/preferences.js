@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Per-user preferences persisted in localStorage.
+ * Keys are namespaced by the signed-in user's ID so several accounts can share a browser.
+ * Preferences saved before the namespacing are moved to their new key the first time they are read.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Keys used before preferences were namespaced, by preference name.
+ * @type {Object<string, function(string): string>}
+ * @private
+ */
+const LEGACY_KEYS = {
+  taskOrder: (userId) => `taskOrder:${userId}`,
+};
+
+/**
+ * Returns the ID of the signed-in user, used to namespace the keys.
+ * @private
+ */
+function getUserId() {
+  return localStorage.getItem('userId') || 'anonymous';
+}
+
+/**
+ * Builds the localStorage key of a preference for the current user.
+ * @private
+ * @param {string} key - Preference name
+ * @returns {string} Namespaced key
+ */
+function getStorageKey(key) {
+  return `tudu:${getUserId()}:${key}`;
+}
+
+/**
+ * Moves a preference saved under its legacy key to the namespaced one.
+ * @private
+ * @param {string} key - Preference name
+ * @returns {string|null} Raw stored value, or null when there was none
+ */
+function migrateLegacyKey(key) {
+  const legacyKey = LEGACY_KEYS[key]?.(getUserId());
+  const raw = legacyKey ? localStorage.getItem(legacyKey) : null;
+  if (raw === null) return null;
+
+  localStorage.setItem(getStorageKey(key), raw);
+  localStorage.removeItem(legacyKey);
+  return raw;
+}
+
+/**
+ * Reads a preference of the current user.
+ * @param {string} key - Preference name
+ * @param {any} fallback - Value returned when the preference is missing or unreadable
+ * @returns {any} The stored value or the fallback
+ * @public
+ * @example
+ * const days = getPreference('trashRetentionDays', 30);
+ */
+export function getPreference(key, fallback) {
+  try {
+    const raw = localStorage.getItem(getStorageKey(key)) ?? migrateLegacyKey(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.warn(`Preferencia inválida "${key}":`, err);
+    return fallback;
+  }
+}
+
+/**
+ * Saves a preference of the current user.
+ * @param {string} key - Preference name
+ * @param {any} value - JSON-serializable value
+ * @public
+ */
+export function setPreference(key, value) {
+  localStorage.setItem(getStorageKey(key), JSON.stringify(value));
+}
+
+/**
+ * Removes every preference of the current user, including the keys used before
+ * the namespacing. Only for a deleted account: signing out keeps the preferences,
+ * which also hold the task fields the task API does not store.
+ * @public
+ */
+export function clearPreferences() {
+  const userId = getUserId();
+  const prefix = getStorageKey('');
+  const keys = Object.keys(localStorage).filter((key) => key.startsWith(prefix));
+  Object.values(LEGACY_KEYS).forEach((legacyKey) => keys.push(legacyKey(userId)));
+  keys.forEach((key) => localStorage.removeItem(key));
+}
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Recurrence rules of repeating tasks.
+ * A rule says how often a task repeats and when the series ends; each
+ * occurrence is a regular task whose rule carries its position in the series.
+ * Dates are calculated in the browser's local time zone.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Supported repetition frequencies.
+ * @type {string[]}
+ */
+export const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly", "interval"];
+
+/**
+ * Short weekday names, indexed like `Date#getDay()` (0 = Sunday).
+ * @type {string[]}
+ * @private
+ */
+const WEEKDAY_NAMES = ["do", "lu", "ma", "mi", "ju", "vi", "sa"];
+
+/**
+ * Validates a recurrence rule and fills in its defaults.
+ * @param {Object|null} rule - Rule as stored or read from a form
+ * @param {string} rule.frequency - 'daily', 'weekly', 'monthly' or 'interval'
+ * @param {number} [rule.interval] - Days between occurrences for 'interval'
+ * @param {number[]} [rule.weekdays] - Weekdays (0 = Sunday) for 'weekly'
+ * @param {string|null} [rule.endDate] - Last possible date (YYYY-MM-DD)
+ * @param {number|null} [rule.count] - Total number of occurrences
+ * @returns {Object|null} The normalized rule, or null if the task does not repeat
+ * @public
+ */
+export function normalizeRecurrence(rule) {
+  if (!rule || !RECURRENCE_FREQUENCIES.includes(rule.frequency)) return null;
+
+  const weekdays = Array.isArray(rule.weekdays)
+    ? [...new Set(rule.weekdays.map(Number).filter((day) => day >= 0 && day <= 6))].sort((a, b) => a - b)
+    : [];
+
+  return {
+    ...rule,
+    interval: rule.frequency === "interval" ? Math.max(1, parseInt(rule.interval, 10) || 1) : 1,
+    weekdays: rule.frequency === "weekly" ? weekdays : [],
+    endDate: rule.endDate || null,
+    count: rule.count ? Math.max(1, parseInt(rule.count, 10)) : null,
+    occurrence: Math.max(1, parseInt(rule.occurrence, 10) || 1),
+  };
+}
+
+/**
+ * Calculates the due date of the occurrence following the one due at `from`.
+ * @param {Object} rule - Normalized recurrence rule
+ * @param {Date|string} from - Due date of the current occurrence
+ * @returns {Date|null} Next due date, or null when the series has ended
+ * @public
+ * @example
+ * // Every Monday and Wednesday, from Monday 2025-03-03 10:00
+ * getNextOccurrence({ frequency: 'weekly', weekdays: [1, 3] }, '2025-03-03T10:00:00');
+ * // → Wednesday 2025-03-05 10:00
+ */
+export function getNextOccurrence(rule, from) {
+  const current = new Date(from);
+  if (!rule || isNaN(current.getTime())) return null;
+  if (rule.count && (rule.occurrence || 1) >= rule.count) return null;
+
+  const next = new Date(current);
+  switch (rule.frequency) {
+    case "daily":
+      next.setDate(next.getDate() + 1);
+      break;
+    case "interval":
+      next.setDate(next.getDate() + (rule.interval || 1));
+      break;
+    case "weekly": {
+      const weekdays = rule.weekdays?.length ? rule.weekdays : [current.getDay()];
+      do {
+        next.setDate(next.getDate() + 1);
+      } while (!weekdays.includes(next.getDay()));
+      break;
+    }
+    case "monthly": {
+      // Mantener el día del mes; en meses más cortos usar el último día
+      const day = current.getDate();
+      next.setDate(1);
+      next.setMonth(next.getMonth() + 1);
+      const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+      next.setDate(Math.min(day, lastDay));
+      break;
+    }
+    default:
+      return null;
+  }
+
+  if (rule.endDate && next > new Date(`${rule.endDate}T23:59:59`)) return null;
+  return next;
+}
+
+/**
+ * Describes a recurrence rule in a short Spanish label, e.g. "Cada semana (lu, mi)".
+ * @param {Object} rule - Normalized recurrence rule
+ * @returns {string} Label, or an empty string without rule
+ * @public
+ */
+export function describeRecurrence(rule) {
+  if (!rule) return "";
+
+  let label;
+  switch (rule.frequency) {
+    case "daily":
+      label = "Cada día";
+      break;
+    case "weekly":
+      label = rule.weekdays?.length
+        ? `Cada semana (${rule.weekdays.map((day) => WEEKDAY_NAMES[day]).join(", ")})`
+        : "Cada semana";
+      break;
+    case "monthly":
+      label = "Cada mes";
+      break;
+    case "interval":
+      label = `Cada ${rule.interval} días`;
+      break;
+    default:
+      return "";
+  }
+
+  if (rule.count) {
+    label += ` · ${rule.occurrence || 1}/${rule.count}`;
+  } else if (rule.endDate) {
+    const [year, month, day] = rule.endDate.split("-");
+    label += ` · hasta ${day}/${month}/${year}`;
+  }
+  return label;
+}
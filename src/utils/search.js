@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Task search helpers.
+ * Matching ignores case and accents, since task texts are written in Spanish
+ * ("accion" finds "acción"). Queries can include operators such as
+ * `estado:haciendo`, `vence:hoy` or `prioridad:alta` next to the free text.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { getStatusColumn, isCompleted } from "../services/taskService.js";
+import { getDueState } from "./dates.js";
+import { escapeHtml } from "./html.js";
+
+/**
+ * Board column matched by each value of the `estado:` operator.
+ * @type {Object<string, string>}
+ * @private
+ */
+const STATUS_ALIASES = {
+  pendiente: "pending",
+  pendientes: "pending",
+  "por-hacer": "pending",
+  porhacer: "pending",
+  haciendo: "progress",
+  progreso: "progress",
+  "en-progreso": "progress",
+  hecho: "completed",
+  hecha: "completed",
+  hechas: "completed",
+  completada: "completed",
+  completadas: "completed",
+};
+
+/**
+ * Values accepted by the `vence:` operator.
+ * @type {string[]}
+ * @private
+ */
+const DUE_VALUES = ["hoy", "manana", "semana", "vencidas", "vencida", "sin"];
+
+/**
+ * Lowercases a text and removes its accents for searching.
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ * @public
+ * @example
+ * normalizeText("Acción"); // → "accion"
+ */
+export function normalizeText(text) {
+  return String(text ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+/**
+ * Splits a search query into free-text terms and operators.
+ * Unknown operators or values are searched as text.
+ * @param {string} query - Query typed by the user
+ * @returns {{terms: string[], status: string|null, due: string|null, priority: string|null}} Parsed query
+ * @public
+ * @example
+ * parseSearchQuery("informe estado:haciendo vence:hoy");
+ * // → { terms: ["informe"], status: "progress", due: "hoy", priority: null }
+ */
+export function parseSearchQuery(query) {
+  const parsed = { terms: [], status: null, due: null, priority: null };
+
+  normalizeText(query).split(/\s+/).filter(Boolean).forEach((word) => {
+    const [operator, value] = word.split(/:(.*)/s);
+
+    if (operator === "estado" && STATUS_ALIASES[value]) {
+      parsed.status = STATUS_ALIASES[value];
+    } else if (operator === "vence" && DUE_VALUES.includes(value)) {
+      parsed.due = value === "vencida" ? "vencidas" : value;
+    } else if (operator === "prioridad" && value) {
+      parsed.priority = value;
+    } else {
+      parsed.terms.push(word);
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Whether a parsed query has anything to filter by.
+ * @param {Object} parsed - Query returned by `parseSearchQuery`
+ * @returns {boolean} True if the query filters tasks
+ * @public
+ */
+export function isEmptySearch(parsed) {
+  return !parsed || (parsed.terms.length === 0 && !parsed.status && !parsed.due && !parsed.priority);
+}
+
+/**
+ * Whether a task matches a parsed query: every term must appear in the title or
+ * detail, and every operator must hold.
+ * @param {Object} task - Task in frontend format
+ * @param {Object} parsed - Query returned by `parseSearchQuery`
+ * @param {Date} [now=new Date()] - Reference time for the `vence:` operator
+ * @returns {boolean} True if the task matches
+ * @public
+ */
+export function matchesSearch(task, parsed, now = new Date()) {
+  if (isEmptySearch(parsed)) return true;
+
+  if (parsed.status && getStatusColumn(task.status) !== parsed.status) return false;
+  if (parsed.priority && normalizeText(task.priority) !== parsed.priority) return false;
+  if (parsed.due && !matchesDue(task, parsed.due, now)) return false;
+
+  const text = normalizeText(`${task.title || ""} ${task.detail || ""}`);
+  return parsed.terms.every((term) => text.includes(term));
+}
+
+/**
+ * Escapes a text as HTML and wraps the parts matching the terms in `<mark>`.
+ * Matching ignores case and accents, but the original text is kept.
+ * @param {string} text - Text to show
+ * @param {string[]} terms - Normalized search terms
+ * @returns {string} Safe HTML
+ * @public
+ * @example
+ * highlightMatches("Revisar acción", ["accion"]); // → "Revisar <mark>acción</mark>"
+ */
+export function highlightMatches(text, terms) {
+  const source = String(text ?? "");
+  if (!terms?.length || !source) return escapeHtml(source);
+
+  // Texto normalizado carácter a carácter, con la posición original de cada carácter
+  let normalized = "";
+  const positions = [];
+  Array.from(source).reduce((offset, char) => {
+    const normalizedChar = normalizeText(char);
+    normalized += normalizedChar;
+    for (let i = 0; i < normalizedChar.length; i++) positions.push(offset);
+    return offset + char.length;
+  }, 0);
+  positions.push(source.length);
+
+  const marked = new Array(source.length + 1).fill(false);
+  terms.forEach((term) => {
+    let index = normalized.indexOf(term);
+    while (term && index !== -1) {
+      for (let i = positions[index]; i < positions[index + term.length]; i++) marked[i] = true;
+      index = normalized.indexOf(term, index + term.length);
+    }
+  });
+
+  let html = "";
+  let open = false;
+  for (let i = 0; i < source.length; i++) {
+    if (marked[i] !== open) {
+      html += open ? "</mark>" : "<mark>";
+      open = marked[i];
+    }
+    html += escapeHtml(source[i]);
+  }
+  return open ? `${html}</mark>` : html;
+}
+
+/**
+ * Whether the due date of a task matches a value of the `vence:` operator.
+ * @private
+ */
+function matchesDue(task, value, now) {
+  if (value === "sin") return !task.dueDate;
+
+  const state = getDueState(task.dueDate, now);
+  if (!state) return false;
+  if (value === "vencidas") {
+    return state === "overdue" && !isCompleted(task);
+  }
+
+  const due = new Date(task.dueDate);
+  const dueDay = new Date(due.getFullYear(), due.getMonth(), due.getDate());
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  // Redondear para no fallar en los días con cambio de hora
+  const days = Math.round((dueDay - today) / (24 * 60 * 60 * 1000));
+  if (value === "hoy") return days === 0;
+  if (value === "manana") return days === 1;
+
+  // Semana: desde hoy hasta el domingo, contando las horas de hoy ya pasadas
+  return days >= 0 && (state === "today" || state === "week" || state === "overdue");
+}
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Session storage helpers shared by the HTTP client and the views.
+ * Keeps the JWT token, the stored user data and the route to return to after
+ * signing in again.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { taskStore } from '../services/taskStore.js';
+
+/**
+ * sessionStorage key holding the route to restore after signing in.
+ * @type {string}
+ */
+const REDIRECT_KEY = 'redirectAfterLogin';
+
+/**
+ * sessionStorage key flagging that the previous session expired.
+ * @type {string}
+ */
+const EXPIRED_KEY = 'sessionExpired';
+
+/**
+ * Routes that never need to be restored after signing in.
+ * @type {string[]}
+ */
+const PUBLIC_ROUTES = ['', '#/', '#/home', '#/sign-in', '#/sign-up'];
+
+/**
+ * Returns the JWT token of the current session.
+ * @returns {string|null} The stored token, or null when signed out
+ * @public
+ */
+export function getToken() {
+  return localStorage.getItem('token');
+}
+
+/**
+ * Removes the token, the stored user data and the cached tasks of the current session.
+ * @public
+ */
+export function clearSession() {
+  taskStore.clear();
+  sessionStorage.removeItem('token');
+  sessionStorage.removeItem('userId');
+  sessionStorage.removeItem('userEmail');
+  localStorage.removeItem('token');
+  localStorage.removeItem('userId');
+  localStorage.removeItem('userEmail');
+  localStorage.removeItem('userName');
+  localStorage.removeItem('userFirstName');
+}
+
+/**
+ * Ends an expired or rejected session and sends the user to sign in again,
+ * remembering the route they were on.
+ * Calling it again while already on the sign-in view does nothing.
+ * @public
+ */
+export function expireSession() {
+  if (location.hash === '#/sign-in') return;
+
+  clearSession();
+  if (!PUBLIC_ROUTES.includes(location.hash)) {
+    sessionStorage.setItem(REDIRECT_KEY, location.hash);
+  }
+  sessionStorage.setItem(EXPIRED_KEY, 'true');
+  location.hash = '#/sign-in';
+}
+
+/**
+ * Returns and forgets the route saved when the session expired.
+ * @returns {string|null} Hash route such as "#/dashboard", or null
+ * @public
+ */
+export function consumeRedirectRoute() {
+  const route = sessionStorage.getItem(REDIRECT_KEY);
+  sessionStorage.removeItem(REDIRECT_KEY);
+  return route;
+}
+
+/**
+ * Returns and forgets whether the previous session expired.
+ * @returns {boolean} True if the user was signed out because the session expired
+ * @public
+ */
+export function consumeSessionExpired() {
+  const expired = sessionStorage.getItem(EXPIRED_KEY) === 'true';
+  sessionStorage.removeItem(EXPIRED_KEY);
+  return expired;
+}
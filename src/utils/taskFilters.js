@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Combinable task filters of the dashboard filter bar.
+ * A filter is a plain object, so it can be saved in the preferences and
+ * encoded in the hash route (`#/dashboard?estado=progress&vence-hasta=2025-03-09`).
+ * Dates are calendar days (YYYY-MM-DD) in the browser's local time zone.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { getStatusColumn } from "../services/taskService.js";
+import { toDateInputValue } from "./dates.js";
+
+/**
+ * Names of the hash parameters of each filter field.
+ * @type {Object<string, string>}
+ * @private
+ */
+const PARAM_NAMES = {
+  statuses: "estado",
+  dueFrom: "vence-desde",
+  dueTo: "vence-hasta",
+  dueDate: "fecha",
+  createdFrom: "creada-desde",
+  createdTo: "creada-hasta",
+  labels: "etiquetas",
+  priorities: "prioridades",
+};
+
+/**
+ * Filter fields holding a list of values.
+ * @type {string[]}
+ * @private
+ */
+const LIST_FIELDS = ["statuses", "labels", "priorities"];
+
+/**
+ * Returns a filter that lets every task through.
+ * @returns {Object} Empty filter
+ * @public
+ */
+export function createEmptyFilter() {
+  return {
+    statuses: [],
+    dueFrom: "",
+    dueTo: "",
+    dueDate: "",
+    createdFrom: "",
+    createdTo: "",
+    labels: [],
+    priorities: [],
+  };
+}
+
+/**
+ * Fills in the missing fields of a filter and drops invalid values.
+ * @param {Object} [filter] - Filter as saved or decoded
+ * @returns {Object} Complete filter
+ * @public
+ */
+export function normalizeFilter(filter) {
+  const normalized = createEmptyFilter();
+  if (!filter) return normalized;
+
+  Object.keys(normalized).forEach((field) => {
+    const value = filter[field];
+    if (LIST_FIELDS.includes(field)) {
+      normalized[field] = Array.isArray(value) ? value.filter(Boolean).map(String) : [];
+    } else if (field === "dueDate") {
+      normalized[field] = value === "with" || value === "without" ? value : "";
+    } else {
+      normalized[field] = /^\d{4}-\d{2}-\d{2}$/.test(value ?? "") ? value : "";
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Whether a filter lets every task through.
+ * @param {Object} filter - Normalized filter
+ * @returns {boolean} True if no field is set
+ * @public
+ */
+export function isEmptyFilter(filter) {
+  return Object.values(normalizeFilter(filter)).every((value) => (Array.isArray(value) ? value.length === 0 : !value));
+}
+
+/**
+ * Whether a task passes a filter. Fields are combined with AND; the values of
+ * a list field (e.g. several labels) with OR.
+ * @param {Object} task - Task in frontend format
+ * @param {Object} filter - Normalized filter
+ * @param {Object} [options] - Matching options
+ * @param {function(Object): (Date|null)} [options.getCreatedAt] - Returns when a task was created
+ * @returns {boolean} True if the task passes
+ * @public
+ * @example
+ * matchesFilter(task, { ...createEmptyFilter(), statuses: ["progress"], dueDate: "with" });
+ */
+export function matchesFilter(task, filter, { getCreatedAt = (item) => item.createdAt } = {}) {
+  if (filter.statuses.length && !filter.statuses.includes(getStatusColumn(task.status))) return false;
+  if (filter.priorities.length && !filter.priorities.includes(task.priority)) return false;
+  if (filter.labels.length && !filter.labels.some((id) => task.labels?.includes(id))) return false;
+
+  if (filter.dueDate === "with" && !task.dueDate) return false;
+  if (filter.dueDate === "without" && task.dueDate) return false;
+  if ((filter.dueFrom || filter.dueTo) && !isInRange(task.dueDate, filter.dueFrom, filter.dueTo)) return false;
+
+  if (filter.createdFrom || filter.createdTo) {
+    return isInRange(getCreatedAt(task), filter.createdFrom, filter.createdTo);
+  }
+  return true;
+}
+
+/**
+ * Encodes a filter as hash parameters, leaving out the empty fields.
+ * @param {Object} filter - Normalized filter
+ * @returns {URLSearchParams} Parameters
+ * @public
+ */
+export function filterToParams(filter) {
+  const params = new URLSearchParams();
+  Object.entries(PARAM_NAMES).forEach(([field, name]) => {
+    const value = filter[field];
+    if (Array.isArray(value) ? value.length : value) {
+      params.set(name, Array.isArray(value) ? value.join(",") : value);
+    }
+  });
+  return params;
+}
+
+/**
+ * Decodes a filter from hash parameters.
+ * @param {URLSearchParams} params - Parameters of the hash route
+ * @returns {Object} Normalized filter
+ * @public
+ */
+export function filterFromParams(params) {
+  const filter = {};
+  Object.entries(PARAM_NAMES).forEach(([field, name]) => {
+    const value = params.get(name) ?? "";
+    filter[field] = LIST_FIELDS.includes(field) ? value.split(",") : value;
+  });
+  return normalizeFilter(filter);
+}
+
+/**
+ * Whether a date falls between two calendar days, both included.
+ * @private
+ */
+function isInRange(value, from, to) {
+  if (!value) return false;
+  const day = toDateInputValue(value);
+  if (!day) return false;
+  return (!from || day >= from) && (!to || day <= to);
+}
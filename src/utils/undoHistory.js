@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Undo history shared by the views that change tasks.
+ * Each action shows a toast offering to undo it and can also be undone with
+ * Ctrl+Z while the toast is open. The history outlives the view, so an action
+ * taken in the calendar can still be undone from the dashboard.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { isTypingTarget } from "./html.js";
+import { showActionToast, showToast } from "./notifications.js";
+
+/**
+ * Milliseconds during which a delete, move or edit can be undone.
+ * @type {number}
+ */
+export const UNDO_WINDOW = 8000;
+
+/**
+ * Recent undoable actions, oldest first.
+ * @type {Array<{undo: Function, expiresAt: number, done: boolean, toast: Object}>}
+ * @private
+ */
+const actionHistory = [];
+
+/**
+ * Adds an action to the history and shows a toast offering to undo it.
+ * @param {string} message - Toast message describing the action
+ * @param {Function} undo - Async function that reverts the action
+ * @public
+ * @example
+ * await updateTask(taskId, { dueDate });
+ * recordAction("📅 Tarea pospuesta", () => updateTask(taskId, { dueDate: previousDueDate }));
+ */
+export function recordAction(message, undo) {
+  const now = Date.now();
+  while (actionHistory.length && (actionHistory[0].done || actionHistory[0].expiresAt < now)) {
+    actionHistory.shift();
+  }
+
+  const action = { undo, expiresAt: now + UNDO_WINDOW, done: false, toast: null };
+  actionHistory.push(action);
+  action.toast = showActionToast(message, {
+    actionLabel: "Deshacer",
+    duration: UNDO_WINDOW,
+    type: "success",
+    onAction: () => undoAction(action),
+  });
+}
+
+/**
+ * Binds Ctrl+Z (Cmd+Z on macOS) to undo the most recent action, outside text fields.
+ * @param {Object} options - Shortcut options
+ * @param {AbortSignal} [options.signal] - Removes the shortcut when the view is left
+ * @public
+ */
+export function initUndoShortcut({ signal } = {}) {
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.key.toLowerCase() !== "z") return;
+    if (isTypingTarget(e.target)) return;
+
+    const action = [...actionHistory].reverse().find((item) => !item.done && item.expiresAt >= Date.now());
+    if (action) {
+      e.preventDefault();
+      undoAction(action);
+    }
+  }, { signal });
+}
+
+/**
+ * Reverts an action if it is still within the undo window.
+ * @private
+ */
+async function undoAction(action) {
+  if (action.done || action.expiresAt < Date.now()) return;
+
+  action.done = true;
+  action.toast?.dismiss();
+
+  try {
+    await action.undo();
+    showToast("↩️ Acción deshecha", "success");
+  } catch (err) {
+    console.error("Error deshaciendo acción:", err);
+    showToast("❌ No se pudo deshacer: " + (err.message || err), "error");
+  }
+}
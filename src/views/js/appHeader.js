@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Header shared by the task views (dashboard, calendar, trash, archive...).
+ * Shows the signed-in user and wires the navigation options of the user dropdown.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { getCurrentUser, logoutUser } from '../../services/userService.js';
+import { showToast } from '../../utils/notifications.js';
+
+/**
+ * Routes opened by each dropdown option, by element ID.
+ * @type {Object<string, string>}
+ * @private
+ */
+const NAVIGATION_OPTIONS = {
+  taskOption: "#/dashboard",
+  profileOption: "#/user-profile",
+  calendarOption: "#/calendar",
+  archiveOption: "#/archive",
+  trashOption: "#/trash",
+};
+
+/**
+ * Fills the user name and avatar and initializes the user dropdown.
+ * Uses the name stored by the dashboard, falling back to the email.
+ * @param {Object} [options] - Header options
+ * @param {AbortSignal} [options.signal] - Signal that removes the document listeners when the view closes
+ * @param {Function} [options.onLogout] - Called instead of signing out right away, e.g. to ask for confirmation
+ * @public
+ */
+export function initAppHeader({ signal, onLogout } = {}) {
+  const userNameEl = document.querySelector(".user-name");
+  const userAvatar = document.querySelector(".user-avatar");
+  const email = getCurrentUser()?.email || "";
+  const storedUserName = localStorage.getItem("userName");
+  const storedFirstName = localStorage.getItem("userFirstName");
+
+  const displayName = storedUserName || email.split("@")[0];
+  if (userNameEl && displayName) userNameEl.textContent = displayName;
+  if (userAvatar && displayName) {
+    userAvatar.textContent = (storedFirstName || displayName)[0].toUpperCase();
+  }
+
+  const userProfile = document.querySelector(".user-profile");
+  if (!userProfile) return;
+  const dropdown = userProfile.querySelector(".user-dropdown");
+
+  userProfile.addEventListener("click", (e) => {
+    e.stopPropagation();
+    dropdown.classList.toggle("active");
+    userProfile.classList.toggle("active");
+  });
+
+  document.addEventListener("click", () => {
+    dropdown.classList.remove("active");
+    userProfile.classList.remove("active");
+  }, { signal });
+
+  Object.entries(NAVIGATION_OPTIONS).forEach(([id, route]) => {
+    document.getElementById(id)?.addEventListener("click", () => {
+      location.hash = route;
+    });
+  });
+
+  document.getElementById("logoutOption")?.addEventListener("click", async () => {
+    if (onLogout) {
+      onLogout();
+      return;
+    }
+
+    try {
+      await logoutUser();
+    } catch (err) {
+      console.warn("Error en logout:", err);
+    }
+    showToast("Sesión cerrada correctamente", "success");
+  });
+}
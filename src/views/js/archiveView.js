@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Archive view: lists and searches the completed tasks archived
+ * from the board, lets the user unarchive them and choose when tasks are archived.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { DEFAULT_ARCHIVE_AFTER_DAYS, archiveCompletedTasks, getTasks, isArchived, isTrashed, unarchiveTask } from '../../services/taskService.js';
+import { taskStore } from '../../services/taskStore.js';
+import { requireAuth } from '../../utils/authGuard.js';
+import { escapeHtml } from '../../utils/html.js';
+import { showToast } from '../../utils/notifications.js';
+import { getPreference, setPreference } from '../../utils/preferences.js';
+import { normalizeText } from '../../utils/search.js';
+import { initAppHeader } from './appHeader.js';
+
+/**
+ * Controller of the current archive view; aborted when the user navigates away.
+ * @type {AbortController|null}
+ * @private
+ */
+let viewController = null;
+
+/**
+ * Initializes the archive view with authentication protection.
+ * @public
+ */
+export async function initArchive() {
+  if (!requireAuth()) return;
+
+  viewController?.abort();
+  const controller = new AbortController();
+  viewController = controller;
+  window.addEventListener("hashchange", () => controller.abort(), { once: true });
+
+  initAppHeader({ signal: controller.signal });
+
+  const unsubscribe = taskStore.subscribe(renderArchive);
+  controller.signal.addEventListener("abort", unsubscribe);
+  if (taskStore.isLoaded()) renderArchive();
+
+  initArchiveSettings();
+  initArchiveActions();
+
+  await loadArchive();
+}
+
+/**
+ * Loads the tasks and archives the completed ones past the configured period.
+ * @private
+ */
+async function loadArchive() {
+  try {
+    await getTasks({ signal: viewController?.signal });
+  } catch (err) {
+    // La carga se canceló porque el usuario salió del archivo
+    if (err.name === "AbortError") return;
+
+    console.error("Error cargando el archivo:", err);
+    showToast("Error cargando el archivo: " + (err.message || err), "error");
+    return;
+  }
+
+  await archiveCompletedTasks(getArchiveAfterDays());
+}
+
+/**
+ * Returns after how many days completed tasks are archived.
+ * @private
+ * @returns {number|null} Days, or null when archiving is disabled
+ */
+function getArchiveAfterDays() {
+  return getPreference("archiveAfterDays", DEFAULT_ARCHIVE_AFTER_DAYS);
+}
+
+/**
+ * Renders the archived tasks matching the search, most recently archived first.
+ * @private
+ */
+function renderArchive() {
+  const list = document.querySelector(".archive-list");
+  if (!list) return;
+
+  const query = normalizeText(document.getElementById("archiveSearch")?.value.trim() || "");
+  const archived = taskStore.getAll()
+    .filter((task) => isArchived(task) && !isTrashed(task))
+    .filter((task) => !query || normalizeText(`${task.title || ""} ${task.detail || ""}`).includes(query))
+    .sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt));
+
+  if (archived.length === 0) {
+    const message = query ? "Ninguna tarea archivada coincide con la búsqueda" : "No hay tareas archivadas";
+    list.innerHTML = `<div class="empty-state">${message}</div>`;
+    return;
+  }
+
+  list.replaceChildren(...archived.map(createArchiveItem));
+}
+
+/**
+ * Creates the element of an archived task.
+ * @private
+ */
+function createArchiveItem(task) {
+  const item = document.createElement("div");
+  item.className = "task-card archive-item";
+  item.dataset.taskId = task.id;
+  if (task.syncing) item.dataset.syncing = "true";
+
+  const completedAt = new Date(task.completedAt ?? task.archivedAt);
+
+  item.innerHTML = `
+    <div class="task-title">${escapeHtml(task.title || "Sin título")}</div>
+    <div class="task-description">${escapeHtml(task.detail || "")}</div>
+    <div class="item-meta">Completada el ${completedAt.toLocaleDateString("es-ES")}</div>
+    <div class="item-actions">
+      <button type="button" class="unarchive-btn">Desarchivar</button>
+    </div>
+  `;
+  return item;
+}
+
+/**
+ * Initializes the search box and the archiving period selector.
+ * @private
+ */
+function initArchiveSettings() {
+  document.getElementById("archiveSearch")?.addEventListener("input", renderArchive);
+
+  const select = document.getElementById("archiveAfter");
+  if (!select) return;
+
+  const afterDays = getArchiveAfterDays();
+  select.value = afterDays === null ? "never" : String(afterDays);
+  if (!select.value) select.value = String(DEFAULT_ARCHIVE_AFTER_DAYS);
+
+  select.addEventListener("change", async () => {
+    const value = select.value === "never" ? null : Number(select.value);
+    setPreference("archiveAfterDays", value);
+
+    const archived = await archiveCompletedTasks(value);
+    if (archived > 0) {
+      showToast(`📦 ${archived} tarea(s) archivada(s)`, "info");
+    }
+  });
+}
+
+/**
+ * Handles the unarchive buttons of the list.
+ * @private
+ */
+function initArchiveActions() {
+  document.querySelector(".archive-list")?.addEventListener("click", async (e) => {
+    const item = e.target.closest(".archive-item");
+    const taskId = item?.dataset.taskId;
+    if (!taskId || item.dataset.syncing === "true" || !e.target.closest(".unarchive-btn")) return;
+
+    try {
+      await unarchiveTask(taskId);
+      showToast("📤 Tarea devuelta al tablero", "success");
+    } catch (err) {
+      console.error("Error desarchivando tarea:", err);
+      showToast("❌ Error desarchivando: " + (err.message || err), "error");
+    }
+  });
+}
@@ -0,0 +1,385 @@
+/**
+ * @fileoverview Calendar view: shows the tasks on their due date in a month or
+ * week grid, lets the user reschedule them by dragging, create a task by clicking
+ * an empty slot (in the dashboard create form, which then returns to the calendar)
+ * and lists the tasks without a date in a side panel.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { DEFAULT_PRIORITY, getTasks, isArchived, isCompleted, isTrashed, updateTask } from '../../services/taskService.js';
+import { taskStore } from '../../services/taskStore.js';
+import { requireAuth } from '../../utils/authGuard.js';
+import { fromDateInputs, toDateInputValue, toTimeInputValue } from '../../utils/dates.js';
+import { escapeHtml } from '../../utils/html.js';
+import { showToast } from '../../utils/notifications.js';
+import { getPreference, setPreference } from '../../utils/preferences.js';
+import { initUndoShortcut, recordAction } from '../../utils/undoHistory.js';
+import { initAppHeader } from './appHeader.js';
+
+/**
+ * Short weekday names of the grid header, from Monday.
+ * @type {string[]}
+ * @private
+ */
+const WEEKDAY_NAMES = ["Lun", "Mar", "Mié", "Jue", "Vie", "Sáb", "Dom"];
+
+/**
+ * Time given to tasks created from the month grid or dropped there without a time.
+ * @type {string}
+ * @private
+ */
+const DEFAULT_TIME = "12:00";
+
+/**
+ * Controller of the current calendar view; aborted when the user navigates away.
+ * @type {AbortController|null}
+ * @private
+ */
+let viewController = null;
+
+/**
+ * Shown period: the grid mode and a day inside it.
+ * @type {{mode: string, anchor: Date}}
+ * @private
+ */
+const calendarState = {
+  mode: "month",
+  anchor: new Date(),
+};
+
+/**
+ * Initializes the calendar view with authentication protection.
+ * @public
+ */
+export async function initCalendar() {
+  if (!requireAuth()) return;
+
+  viewController?.abort();
+  const controller = new AbortController();
+  viewController = controller;
+  window.addEventListener("hashchange", () => controller.abort(), { once: true });
+
+  initAppHeader({ signal: controller.signal });
+
+  calendarState.mode = getPreference("calendarMode", "month") === "week" ? "week" : "month";
+  calendarState.anchor = readAnchorFromHash();
+
+  const unsubscribe = taskStore.subscribe(renderCalendar);
+  controller.signal.addEventListener("abort", unsubscribe);
+  renderCalendar();
+
+  initCalendarNavigation();
+  initCalendarActions();
+  initCalendarDragAndDrop();
+  initUndoShortcut({ signal: controller.signal });
+
+  try {
+    await getTasks({ signal: controller.signal });
+  } catch (err) {
+    // La carga se canceló porque el usuario salió del calendario
+    if (err.name === "AbortError") return;
+
+    console.error("Error cargando tareas:", err);
+    showToast("Error cargando tareas: " + (err.message || err), "error");
+  }
+}
+
+/**
+ * Returns the day to show from the hash (`#/calendar?date=2025-03-09`, used when
+ * coming back from the dashboard create form) or today, and removes the parameter
+ * so that reloading shows the current period.
+ * @private
+ * @returns {Date} Day inside the period to show
+ */
+function readAnchorFromHash() {
+  const date = new URLSearchParams(location.hash.split("?")[1] || "").get("date");
+  if (date === null) return new Date();
+
+  history.replaceState(null, "", "#/calendar");
+  const anchor = /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T12:00`) : null;
+  return anchor && !isNaN(anchor.getTime()) ? anchor : new Date();
+}
+
+/**
+ * Renders the grid of the shown period and the panel of tasks without a date.
+ * @private
+ */
+function renderCalendar() {
+  const grid = document.querySelector(".calendar-grid");
+  if (!grid) return;
+
+  const tasks = taskStore.getAll().filter((task) => !isTrashed(task) && !isArchived(task));
+  const tasksByDay = new Map();
+  tasks.forEach((task) => {
+    const day = task.dueDate ? toDateInputValue(task.dueDate) : "";
+    if (!day) return;
+    if (!tasksByDay.has(day)) tasksByDay.set(day, []);
+    tasksByDay.get(day).push(task);
+  });
+  tasksByDay.forEach((dayTasks) => dayTasks.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate)));
+
+  grid.className = `calendar-grid calendar-${calendarState.mode}`;
+  grid.innerHTML = calendarState.mode === "week" ? renderWeek(tasksByDay) : renderMonth(tasksByDay);
+
+  document.getElementById("calendarTitle").textContent = getPeriodTitle();
+  document.querySelectorAll(".calendar-modes [data-mode]").forEach((button) => {
+    button.setAttribute("aria-pressed", String(button.dataset.mode === calendarState.mode));
+  });
+
+  renderUndated(tasks.filter((task) => !task.dueDate || !toDateInputValue(task.dueDate)));
+}
+
+/**
+ * Renders the month grid: six weeks from the Monday before the first day of the month.
+ * @private
+ */
+function renderMonth(tasksByDay) {
+  const anchor = calendarState.anchor;
+  const start = getWeekStart(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+  const today = toDateInputValue(new Date());
+
+  const cells = Array.from({ length: 42 }, (_, index) => {
+    const date = addDays(start, index);
+    const day = toDateInputValue(date);
+    const classes = ["calendar-day"];
+    if (date.getMonth() !== anchor.getMonth()) classes.push("other-month");
+    if (day === today) classes.push("today");
+
+    return `
+      <div class="${classes.join(" ")}" data-date="${day}">
+        <span class="calendar-day-number">${date.getDate()}</span>
+        <div class="calendar-day-tasks">
+          ${(tasksByDay.get(day) || []).map((task) => renderTaskChip(task, true)).join("")}
+        </div>
+      </div>
+    `;
+  });
+
+  return `
+    ${WEEKDAY_NAMES.map((name) => `<div class="calendar-weekday">${name}</div>`).join("")}
+    ${cells.join("")}
+  `;
+}
+
+/**
+ * Renders the week grid: one column per day and one slot per hour.
+ * @private
+ */
+function renderWeek(tasksByDay) {
+  const start = getWeekStart(calendarState.anchor);
+  const days = Array.from({ length: 7 }, (_, index) => addDays(start, index));
+  const today = toDateInputValue(new Date());
+
+  const header = days.map((date, index) => {
+    const day = toDateInputValue(date);
+    return `<div class="calendar-weekday${day === today ? " today" : ""}">${WEEKDAY_NAMES[index]} ${date.getDate()}</div>`;
+  });
+
+  const rows = Array.from({ length: 24 }, (_, hour) => {
+    const time = `${String(hour).padStart(2, "0")}:00`;
+    const slots = days.map((date) => {
+      const day = toDateInputValue(date);
+      const slotTasks = (tasksByDay.get(day) || []).filter((task) => new Date(task.dueDate).getHours() === hour);
+      return `
+        <div class="calendar-slot" data-date="${day}" data-time="${time}">
+          ${slotTasks.map((task) => renderTaskChip(task, false)).join("")}
+        </div>
+      `;
+    });
+    return `<div class="calendar-hour">${time}</div>${slots.join("")}`;
+  });
+
+  return `<div class="calendar-hour"></div>${header.join("")}${rows.join("")}`;
+}
+
+/**
+ * Renders a task in the grid or in the panel of tasks without a date.
+ * @private
+ * @param {Object} task - Task to render
+ * @param {boolean} showTime - Whether to show the due time before the title
+ */
+function renderTaskChip(task, showTime) {
+  const time = showTime && task.dueDate ? `<span class="calendar-task-time">${toTimeInputValue(task.dueDate)}</span> ` : "";
+  const classes = ["calendar-task", `priority-${task.priority || DEFAULT_PRIORITY}`];
+  if (isCompleted(task)) classes.push("completed");
+
+  return `
+    <div class="${classes.join(" ")}" data-task-id="${task.id}" draggable="${!task.syncing}"
+      ${task.syncing ? 'data-syncing="true"' : ""} title="${escapeHtml(task.title || "Sin título")}">
+      ${time}${escapeHtml(task.title || "Sin título")}
+    </div>
+  `;
+}
+
+/**
+ * Renders the tasks without a date, newest first.
+ * @private
+ */
+function renderUndated(tasks) {
+  const list = document.querySelector(".calendar-undated-list");
+  if (!list) return;
+
+  list.innerHTML = tasks.length === 0
+    ? `<div class="empty-state">Todas las tareas tienen fecha</div>`
+    : tasks.reverse().map((task) => renderTaskChip(task, false)).join("");
+}
+
+/**
+ * Returns the title of the shown period, e.g. "marzo de 2025" or "3 – 9 mar 2025".
+ * @private
+ */
+function getPeriodTitle() {
+  if (calendarState.mode === "month") {
+    return calendarState.anchor.toLocaleDateString("es-ES", { month: "long", year: "numeric" });
+  }
+
+  const start = getWeekStart(calendarState.anchor);
+  const end = addDays(start, 6);
+  const format = (date) => date.toLocaleDateString("es-ES", { day: "numeric", month: "short" });
+  return `${format(start)} – ${format(end)} ${end.getFullYear()}`;
+}
+
+/**
+ * Returns the Monday of the week of a date, at midnight.
+ * @private
+ */
+function getWeekStart(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Returns a date some days after another one.
+ * @private
+ */
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+/**
+ * Initializes the period navigation and the month/week switch.
+ * @private
+ */
+function initCalendarNavigation() {
+  document.querySelector(".calendar-nav")?.addEventListener("click", (e) => {
+    const navButton = e.target.closest("[data-nav]");
+    const modeButton = e.target.closest("[data-mode]");
+
+    if (modeButton) {
+      calendarState.mode = modeButton.dataset.mode;
+      setPreference("calendarMode", calendarState.mode);
+    } else if (navButton?.dataset.nav === "today") {
+      calendarState.anchor = new Date();
+    } else if (navButton) {
+      const step = navButton.dataset.nav === "next" ? 1 : -1;
+      const anchor = calendarState.anchor;
+      calendarState.anchor = calendarState.mode === "month"
+        ? new Date(anchor.getFullYear(), anchor.getMonth() + step, 1)
+        : addDays(anchor, step * 7);
+    } else {
+      return;
+    }
+    renderCalendar();
+  });
+}
+
+/**
+ * Opens a task in the dashboard when clicked, or the dashboard create modal on
+ * the day and time of an empty slot when it is clicked.
+ * @private
+ */
+function initCalendarActions() {
+  document.querySelector(".calendar-layout")?.addEventListener("click", (e) => {
+    const chip = e.target.closest(".calendar-task");
+    if (chip) {
+      location.hash = `#/dashboard?task=${encodeURIComponent(chip.dataset.taskId)}`;
+      return;
+    }
+
+    const slot = e.target.closest("[data-date]");
+    if (slot) {
+      const params = new URLSearchParams({
+        new: slot.dataset.date,
+        time: slot.dataset.time || DEFAULT_TIME,
+        from: "calendar",
+      });
+      location.hash = `#/dashboard?${params}`;
+    }
+  });
+}
+
+/**
+ * Reschedules tasks dropped on another day or hour. Tasks without a date get one
+ * when dropped on the grid.
+ * @private
+ */
+function initCalendarDragAndDrop() {
+  const layout = document.querySelector(".calendar-layout");
+  if (!layout) return;
+
+  let draggedId = null;
+  const clearTarget = () => layout.querySelectorAll(".drag-over").forEach((el) => el.classList.remove("drag-over"));
+
+  layout.addEventListener("dragstart", (e) => {
+    const chip = e.target.closest(".calendar-task");
+    if (!chip || chip.dataset.syncing === "true") {
+      e.preventDefault();
+      return;
+    }
+    draggedId = chip.dataset.taskId;
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", draggedId);
+    requestAnimationFrame(() => chip.classList.add("dragging"));
+  });
+
+  layout.addEventListener("dragend", () => {
+    draggedId = null;
+    clearTarget();
+    layout.querySelector(".calendar-task.dragging")?.classList.remove("dragging");
+  });
+
+  layout.addEventListener("dragover", (e) => {
+    const target = e.target.closest("[data-date]");
+    if (!draggedId || !target) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+
+    if (!target.classList.contains("drag-over")) {
+      clearTarget();
+      target.classList.add("drag-over");
+    }
+  });
+
+  layout.addEventListener("drop", async (e) => {
+    const target = e.target.closest("[data-date]");
+    const taskId = draggedId;
+    if (!taskId || !target) return;
+    e.preventDefault();
+    clearTarget();
+
+    const task = taskStore.get(taskId);
+    if (!task) return;
+
+    // En la vista mensual se conserva la hora; en la semanal se toma la de la franja
+    const currentTime = task.dueDate ? toTimeInputValue(task.dueDate) : DEFAULT_TIME;
+    const time = target.dataset.time ? `${target.dataset.time.slice(0, 3)}${currentTime.slice(3)}` : currentTime;
+    const dueDate = fromDateInputs(target.dataset.date, time);
+    if (task.dueDate && new Date(task.dueDate).getTime() === new Date(dueDate).getTime()) return;
+
+    const previousDueDate = task.dueDate ?? null;
+    try {
+      await updateTask(taskId, { dueDate });
+      recordAction(
+        `📅 Tarea movida al ${new Date(dueDate).toLocaleDateString("es-ES")}`,
+        () => updateTask(taskId, { dueDate: previousDueDate })
+      );
+    } catch (err) {
+      console.error("Error reprogramando tarea:", err);
+      showToast("❌ Error al reprogramar tarea: " + (err.message || err), "error");
+    }
+  });
+}
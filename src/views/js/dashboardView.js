@@ -4,196 +4,1414 @@
  * @version 1.0.0
  */
 
-import { createTask, deleteTask, getTasks, updateTask } from '../../services/taskService.js';
-import { getCurrentUser, getUserProfile, isAuthenticated, logoutUser } from '../../services/userService.js';
+import { DEFAULT_ARCHIVE_AFTER_DAYS, DEFAULT_PRIORITY, DEFAULT_TRASH_RETENTION_DAYS, TASK_PRIORITIES, TASK_STATUSES, archiveCompletedTasks, continueSeries, createTask, deleteTask, getChecklistProgress, getCreatedAt, getEditableFields, getLaterOccurrences, getStatusColumn, getTaskById, getTasks, hasTemplateChanges, isArchived, isCompleted, isTrashed, purgeExpiredTrash, restoreTask, trashTask, trashTasks, updateOccurrence, updateTask, updateTaskSeries, updateTaskStatus, updateTasks, updateTasksStatus } from '../../services/taskService.js';
+import { createLabel, deleteLabel, getLabel, getLabels, isHexColor, updateLabel } from '../../services/labelService.js';
+import { requestReminderPermission, setTaskOpener } from '../../services/reminderService.js';
+import { deleteView, getSavedView, getSavedViews, saveView } from '../../services/savedViewService.js';
+import { taskStore } from '../../services/taskStore.js';
+import { getCurrentUser, getUserProfile, logoutUser } from '../../services/userService.js';
+import { requireAuth } from '../../utils/authGuard.js';
+import { formatRelativeDue, fromDateInputs, getDueState, toDateInputValue, toTimeInputValue } from '../../utils/dates.js';
+import { escapeHtml, isTypingTarget } from '../../utils/html.js';
 import { showToast } from '../../utils/notifications.js';
+import { getPreference, setPreference } from '../../utils/preferences.js';
+import { describeRecurrence } from '../../utils/recurrence.js';
+import { highlightMatches, isEmptySearch, matchesSearch, parseSearchQuery } from '../../utils/search.js';
+import { createEmptyFilter, filterFromParams, filterToParams, isEmptyFilter, matchesFilter, normalizeFilter } from '../../utils/taskFilters.js';
+import { initUndoShortcut, recordAction } from '../../utils/undoHistory.js';
+import { initAppHeader } from './appHeader.js';
+import { initTaskAgenda, renderTaskAgenda } from './taskAgenda.js';
+import { initTaskTable, renderTaskTable } from './taskTable.js';
+
+/**
+ * Cards on the board and the task object each was rendered from, by task ID.
+ * A card is rebuilt only when the store holds a different object for its task.
+ * @type {Map<string, {task: Object, card: HTMLElement}>}
+ * @private
+ */
+const renderedCards = new Map();
+
+/**
+ * Controller aborted when the user leaves the dashboard, cancelling pending requests.
+ * @type {AbortController|null}
+ * @private
+ */
+let viewController = null;
+
+/**
+ * Route to go back to when the create modal closes, set when another view opened
+ * it (e.g. the calendar); null to stay on the board.
+ * @type {string|null}
+ * @private
+ */
+let createReturnRoute = null;
+
+/**
+ * Checklist being edited in the edit modal; saved with the rest of the form.
+ * @type {{id: string, text: string, done: boolean}[]}
+ * @private
+ */
+let checklistDraft = [];
+
+/**
+ * Counter used to build IDs of new checklist items.
+ * @type {number}
+ * @private
+ */
+let checklistItemSequence = 0;
+
+/**
+ * Display names of the task priorities.
+ * @type {Object<string, string>}
+ * @private
+ */
+const PRIORITY_LABELS = {
+  baja: "Baja",
+  media: "Media",
+  alta: "Alta",
+  urgente: "Urgente",
+};
+
+/**
+ * Ways of showing the tasks of the dashboard.
+ * @type {string[]}
+ * @private
+ */
+const BOARD_MODES = ["kanban", "table", "agenda"];
+
+/**
+ * Search typed in the header, parsed; it is not saved between visits.
+ * @type {Object}
+ * @private
+ */
+let boardSearch = parseSearchQuery("");
+
+/**
+ * Filter of the filter bar, read from the hash route when the board opens.
+ * @type {Object}
+ * @private
+ */
+let boardFilter = createEmptyFilter();
+
+/**
+ * ID of the saved view whose filter is applied, or null for a filter not saved as a view.
+ * @type {string|null}
+ * @private
+ */
+let activeViewId = null;
+
+/**
+ * Whether the Kanban board is in selection mode, where clicking a card selects it.
+ * @type {boolean}
+ * @private
+ */
+let selectionMode = false;
+
+/**
+ * IDs of the selected tasks.
+ * @type {Set<string>}
+ * @private
+ */
+const selectedTaskIds = new Set();
+
+/**
+ * ID of the last task clicked in selection mode, used as the start of Shift+click ranges.
+ * @type {string|null}
+ * @private
+ */
+let lastSelectedId = null;
+
+/**
+ * Save state of the tasks edited inline ('saving' or 'error'), kept across card rebuilds.
+ * @type {Map<string, string>}
+ * @private
+ */
+const inlineSaveStates = new Map();
+
+/**
+ * Milliseconds the error state of an inline edit stays on the card.
+ * @type {number}
+ * @private
+ */
+const INLINE_ERROR_DURATION = 5000;
+
+/**
+ * Interval between refreshes of the overdue and due-soon states of the cards.
+ * @type {number}
+ * @private
+ */
+const DUE_REFRESH_INTERVAL = 60 * 1000;
+
+/**
+ * Short names of the reminder offsets, in minutes before the due date.
+ * @type {Object<number, string>}
+ * @private
+ */
+const REMINDER_LABELS = {
+  0: "a la hora",
+  15: "15 min antes",
+  60: "1 h antes",
+  1440: "1 día antes",
+};
 
 /**
  * Initializes the dashboard view with authentication protection.
  * @public
  */
 export async function initDashboard() {
-  if (!isAuthenticated()) {
-    location.hash = "#/sign-in";
+  if (!requireAuth()) return;
+
+  viewController?.abort();
+  const controller = new AbortController();
+  viewController = controller;
+  window.addEventListener("hashchange", () => controller.abort(), { once: true });
+
+  await refreshStoredUserName();
+  if (controller.signal.aborted) return;
+  initAppHeader({ signal: controller.signal, onLogout: openLogoutModal });
+
+  // Renderizar desde el store en cada cambio; mostrar la copia en caché mientras se recarga
+  renderedCards.clear();
+  // La búsqueda no se conserva al volver al tablero
+  boardSearch = parseSearchQuery("");
+  selectionMode = false;
+  selectedTaskIds.clear();
+  lastSelectedId = null;
+  readFilterFromHash();
+  const unsubscribe = taskStore.subscribe(renderBoard);
+  controller.signal.addEventListener("abort", unsubscribe);
+  if (taskStore.isLoaded()) renderBoard();
+
+  const loaded = await loadTasksFromBackend();
+  // Si el usuario salió durante la carga, el DOM ya es el de la siguiente vista
+  if (controller.signal.aborted) return;
+  initCreateTaskModal();
+  initEditTaskModal();
+  initChecklistEditor();
+  initTaskActions();
+  initDragAndDrop();
+  initColumnToolbars();
+  initLabels();
+  initDueTracking();
+  initBoardSearch();
+  initFilterBar();
+  initBoardModes();
+  initSelection();
+  initInlineEditing();
+  initUndoShortcut({ signal: controller.signal });
+  initDeleteTaskModal();
+  initLogoutModal();
+  controller.signal.addEventListener("abort", setTaskOpener(openTaskById));
+  openTaskFromHash();
+
+  // Purgar y archivar solo con la lista recién cargada del servidor
+  if (loaded) {
+    await purgeExpiredTrash(getPreference("trashRetentionDays", DEFAULT_TRASH_RETENTION_DAYS));
+    await archiveCompletedTasks(getPreference("archiveAfterDays", DEFAULT_ARCHIVE_AFTER_DAYS));
+  }
+}
+
+/**
+ * Opens the task given in the hash (e.g. `#/dashboard?task=123`, used by reminders
+ * and the calendar) or the create modal on the given day (`#/dashboard?new=2025-03-09&time=09:00`,
+ * used by the calendar, which adds `from=calendar` to get the user back to that day),
+ * and removes the parameters so that reloading shows the board.
+ * @private
+ */
+function openTaskFromHash() {
+  const params = getHashParams();
+  const taskId = params.get("task");
+  const newDate = params.get("new");
+  if (!taskId && newDate === null) return;
+
+  const time = params.get("time");
+  const from = params.get("from");
+  ["task", "new", "time", "from"].forEach((name) => params.delete(name));
+  replaceHashParams(params);
+
+  if (newDate !== null) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(newDate) ? newDate : null;
+    openCreateModal({
+      date,
+      time: /^\d{2}:\d{2}$/.test(time ?? "") ? time : null,
+      returnRoute: from === "calendar" ? `#/calendar${date ? `?date=${date}` : ""}` : null,
+    });
     return;
   }
+  openTaskById(taskId);
+}
 
-  const currentUser = getCurrentUser();
-  const userNameEl = document.querySelector(".user-name");
-  const userAvatar = document.querySelector(".user-avatar");
+/**
+ * Opens the edit modal of a task, e.g. from a reminder while the dashboard is open.
+ * @private
+ * @param {string} taskId - Task ID
+ */
+function openTaskById(taskId) {
+  const task = taskStore.get(taskId);
+  if (!task || isTrashed(task)) {
+    showToast("La tarea ya no existe", "error");
+    return;
+  }
+  openEditModal(task);
+}
 
-  if (userNameEl && userAvatar && currentUser?.email) {
-    // Intentar obtener el perfil completo del usuario
-    try {
-      const userProfile = await getUserProfile(currentUser.userId);
-      if (userProfile.firstName && userProfile.lastName) {
-        const fullName = `${userProfile.firstName} ${userProfile.lastName}`;
-        userNameEl.textContent = fullName;
-        userAvatar.textContent = userProfile.firstName[0].toUpperCase();
-
-        // Actualizar localStorage para uso posterior
-        localStorage.setItem("userName", fullName);
-        localStorage.setItem("userFirstName", userProfile.firstName);
-      } else {
-        // Fallback: usar email
-        userNameEl.textContent = currentUser.email.split("@")[0];
-        userAvatar.textContent = currentUser.email[0].toUpperCase();
-      }
-    } catch (error) {
-      console.warn("No se pudo cargar el perfil:", error);
-      // Fallback: usar datos almacenados o email
-      const storedUserName = localStorage.getItem("userName");
-      const storedFirstName = localStorage.getItem("userFirstName");
-
-      if (storedUserName) {
-        userNameEl.textContent = storedUserName;
-        userAvatar.textContent = storedFirstName ? storedFirstName[0].toUpperCase() : storedUserName[0].toUpperCase();
-      } else {
-        userNameEl.textContent = currentUser.email.split("@")[0];
-        userAvatar.textContent = currentUser.email[0].toUpperCase();
-      }
+/**
+ * Returns the parameters of the hash route, e.g. `view=semana` in `#/dashboard?view=semana`.
+ * @private
+ * @returns {URLSearchParams} Parameters
+ */
+function getHashParams() {
+  return new URLSearchParams(location.hash.split("?")[1] || "");
+}
+
+/**
+ * Replaces the parameters of the hash route without navigating, so the view is not reloaded.
+ * @private
+ * @param {URLSearchParams} params - New parameters
+ */
+function replaceHashParams(params) {
+  const query = params.toString();
+  history.replaceState(null, "", `#/dashboard${query ? `?${query}` : ""}`);
+}
+
+/**
+ * Loads tasks from the backend API into the task store.
+ * The board re-renders through its store subscription.
+ * @private
+ * @returns {Promise<boolean>} True if the tasks were loaded
+ */
+async function loadTasksFromBackend() {
+  try {
+    await getTasks({ signal: viewController?.signal });
+    return true;
+  } catch (err) {
+    // La carga se canceló porque el usuario salió del dashboard
+    if (err.name === "AbortError") return false;
+
+    console.error("Error cargando tareas:", err);
+    showToast("Error cargando tareas: " + (err.message || err), "error");
+    return false;
+  }
+}
+
+/**
+ * Renders the Kanban board from the task store.
+ * Existing cards are reused and only moved when their position changed; cards
+ * are rebuilt only for tasks that changed.
+ * @private
+ */
+function renderBoard() {
+  const columns = {
+    pending: document.querySelector(".pending-column .task-list"),
+    progress: document.querySelector(".progress-column .task-list"),
+    completed: document.querySelector(".completed-column .task-list"),
+  };
+
+  const tasksByStatus = Object.fromEntries(TASK_STATUSES.map(({ key }) => [key, []]));
+
+  // Las tareas en la papelera o archivadas no aparecen en el tablero
+  const visibleTasks = taskStore.getAll().filter((task) => !isTrashed(task) && !isArchived(task));
+  visibleTasks.forEach((task) => {
+    tasksByStatus[getStatusColumn(task.status)].push(task);
+  });
+
+  const savedOrder = getSavedColumnOrder();
+  const boardFilters = getBoardFilters();
+  const matchesBoardFilters = (task) => boardFilters.every((filter) => filter.matches(task));
+
+  Object.entries(tasksByStatus).forEach(([status, taskList]) => {
+    const col = columns[status];
+    if (!col) {
+      console.warn(`Columna no encontrada para estado: ${status}`);
+      return;
     }
+
+    const settings = getColumnSettings(status);
+    const sorted = settings.sort === "priority"
+      ? sortTasksByPriority(taskList)
+      : applyManualOrder(sortTasksByDate(taskList), savedOrder[status]);
+    renderColumn(col, sorted, matchesBoardFilters);
+  });
+
+  const visibleIds = new Set(visibleTasks.map((task) => task.id));
+  renderedCards.forEach(({ card }, id) => {
+    if (!visibleIds.has(id)) {
+      card.remove();
+      renderedCards.delete(id);
+    }
+  });
+
+  Object.values(columns).forEach((col) => {
+    if (col) refreshColumnState(col);
+  });
+  renderOverdueCounter(visibleTasks);
+  renderHiddenTasksSummary(visibleTasks, boardFilters);
+  renderBoardMode(visibleTasks.filter(matchesBoardFilters));
+  refreshSelection();
+}
+
+/**
+ * Returns the active filters shared by every board mode: labels, overdue, search,
+ * filter bar and the priority filter of each column, so the table and the agenda
+ * show the same tasks as the Kanban. Each filter has the name shown when it hides
+ * tasks and a function that turns it off without re-rendering the board.
+ * @private
+ * @returns {{key: string, name: string, matches: function(Object): boolean, clear: function(): void}[]} Active filters
+ */
+function getBoardFilters() {
+  const now = new Date();
+  const filters = [];
+
+  const labelFilter = getLabelFilter();
+  if (labelFilter.length > 0) {
+    filters.push({
+      key: "labels",
+      name: "Etiquetas",
+      matches: (task) => matchesLabelFilter(task, labelFilter),
+      clear: () => {
+        setPreference("labelFilter", []);
+        renderLabelFilter();
+      },
+    });
   }
 
-  await loadTasksFromBackend();
-  initUserDropdown();
-  initCreateTaskModal();
-  initEditTaskModal();
-  initTaskActions();
-  initDeleteTaskModal();
-  initLogoutModal();
+  if (getPreference("overdueFilter", false)) {
+    filters.push({
+      key: "overdue",
+      name: "Vencidas",
+      matches: (task) => isOverdue(task, now),
+      clear: () => setPreference("overdueFilter", false),
+    });
+  }
+
+  if (!isEmptySearch(boardSearch)) {
+    filters.push({
+      key: "search",
+      name: "Búsqueda",
+      matches: (task) => matchesSearch(task, boardSearch, now),
+      clear: () => {
+        boardSearch = parseSearchQuery("");
+        const input = document.getElementById("boardSearch");
+        if (input) input.value = "";
+      },
+    });
+  }
+
+  if (!isEmptyFilter(boardFilter)) {
+    const view = activeViewId ? getSavedView(activeViewId) : null;
+    filters.push({
+      key: "filterBar",
+      name: view ? `Vista "${view.name}"` : "Filtros",
+      matches: (task) => matchesFilter(task, boardFilter, { getCreatedAt }),
+      clear: () => {
+        boardFilter = createEmptyFilter();
+        activeViewId = null;
+        fillFilterForm();
+        replaceHashParams(filterToParams(boardFilter));
+        renderSavedViews();
+      },
+    });
+  }
+
+  const columnPriorities = Object.fromEntries(TASK_STATUSES.map(({ key }) => [key, getColumnSettings(key).priority]));
+  if (Object.values(columnPriorities).some(Boolean)) {
+    filters.push({
+      key: "columnPriority",
+      name: "Prioridad de columna",
+      matches: (task) => {
+        const priority = columnPriorities[getStatusColumn(task.status)];
+        return !priority || task.priority === priority;
+      },
+      clear: () => {
+        TASK_STATUSES.forEach(({ key }) => saveColumnSettings(key, { ...getColumnSettings(key), priority: "" }));
+        document.querySelectorAll(".column-priority-filter").forEach((select) => { select.value = ""; });
+      },
+    });
+  }
+
+  return filters;
 }
 
 /**
- * Loads tasks from the backend API and renders them.
+ * Tells which active filters hide tasks and how many each one hides, with a
+ * button to turn it off. A task hidden by several filters counts for each of them.
  * @private
+ * @param {Object[]} tasks - Tasks on the board before filtering
+ * @param {Object[]} filters - Active filters returned by getBoardFilters
  */
-async function loadTasksFromBackend() {
+function renderHiddenTasksSummary(tasks, filters) {
+  const summary = document.getElementById("hiddenTasksSummary");
+  if (!summary) return;
+
+  const hiding = filters
+    .map((filter) => ({ ...filter, count: tasks.filter((task) => !filter.matches(task)).length }))
+    .filter((filter) => filter.count > 0);
+  summary.hidden = hiding.length === 0;
+  if (summary.hidden) {
+    summary.innerHTML = "";
+    return;
+  }
+
+  const hidden = tasks.filter((task) => filters.some((filter) => !filter.matches(task))).length;
+  summary.innerHTML = `
+    <span>${hidden} de ${tasks.length} ${tasks.length === 1 ? "tarea oculta" : "tareas ocultas"} por:</span>
+    ${hiding.map((filter) => `
+      <button type="button" class="hidden-filter-chip" data-filter-key="${filter.key}" title="Quitar este filtro">
+        ${escapeHtml(filter.name)} (${filter.count}) ✕
+      </button>
+    `).join("")}
+  `;
+}
+
+/**
+ * Returns how the tasks are shown: as the Kanban board, a table or an agenda.
+ * @private
+ * @returns {string} 'kanban', 'table' or 'agenda'
+ */
+function getBoardMode() {
+  const mode = getPreference("boardMode", "kanban");
+  return BOARD_MODES.includes(mode) ? mode : "kanban";
+}
+
+/**
+ * Shows the chosen board mode and renders the table or the agenda when active.
+ * The Kanban cards are kept up to date in every mode, so switching back is instant.
+ * @private
+ * @param {Object[]} tasks - Tasks that pass the board filters
+ */
+function renderBoardMode(tasks) {
+  const mode = getBoardMode();
+  const kanban = document.querySelector(".kanban-board");
+  const table = document.getElementById("taskTableView");
+  const agenda = document.getElementById("taskAgendaView");
+
+  if (kanban) kanban.hidden = mode !== "kanban";
+  if (table) table.hidden = mode !== "table";
+  if (agenda) agenda.hidden = mode !== "agenda";
+  document.querySelectorAll("[data-board-mode]").forEach((button) => {
+    button.setAttribute("aria-pressed", String(button.dataset.boardMode === mode));
+  });
+
+  if (mode === "table") renderTaskTable(tasks, { terms: boardSearch.terms });
+  if (mode === "agenda") renderTaskAgenda(tasks, { terms: boardSearch.terms });
+}
+
+/**
+ * Initializes the board mode switch and the table and agenda views.
+ * @private
+ */
+function initBoardModes() {
+  document.querySelector(".board-modes")?.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-board-mode]");
+    if (!button) return;
+    setPreference("boardMode", button.dataset.boardMode);
+    renderBoard();
+  });
+
+  const openTask = (taskId) => {
+    const task = taskStore.get(taskId);
+    if (task) openEditModal(task);
+  };
+
+  initTaskTable({
+    onOpenTask: openTask,
+    onStatusChange: changeTaskStatus,
+    onChange: renderBoard,
+  });
+
+  initTaskAgenda({
+    onOpenTask: openTask,
+    onComplete: (taskId) => changeTaskStatus(taskId, "completed"),
+    onReschedule: rescheduleTask,
+  });
+}
+
+/**
+ * Changes the due date of a task from the agenda and records it for undo.
+ * @private
+ * @param {string} taskId - Task ID
+ * @param {string} dueDate - New due date
+ * @param {string} change - Description of the change for the toast, e.g. "+1 día"
+ */
+async function rescheduleTask(taskId, dueDate, change) {
+  const previousDueDate = taskStore.get(taskId)?.dueDate ?? null;
   try {
-    const tasks = await getTasks();
+    await updateTask(taskId, { dueDate });
+    recordAction(`📅 Tarea pospuesta (${change})`, () => updateTask(taskId, { dueDate: previousDueDate }));
+  } catch (err) {
+    console.error("Error reprogramando tarea:", err);
+    showToast("❌ Error al reprogramar tarea: " + (err.message || err), "error");
+  }
+}
+
+/**
+ * Changes the status of a task from the table or the agenda and records it for undo.
+ * @private
+ */
+async function changeTaskStatus(taskId, status) {
+  const previousStatus = getStatusColumn(taskStore.get(taskId)?.status);
+  try {
+    const { nextOccurrence } = await updateTaskStatus(taskId, status);
+    recordAction("Estado de la tarea cambiado", undoStatusChange(taskId, previousStatus, nextOccurrence));
+  } catch (err) {
+    console.error("Error cambiando estado:", err);
+    showToast("❌ Error al cambiar el estado: " + (err.message || err), "error");
+  }
+}
+
+/**
+ * Initializes the selection mode of the Kanban board and the batch action bar.
+ * In selection mode a click selects a card, Shift+click selects every card
+ * between the last clicked one and this one, and each column can select all
+ * its visible cards. Escape leaves the mode.
+ * @private
+ */
+function initSelection() {
+  const board = document.querySelector(".kanban-board");
+  const toggle = document.getElementById("selectModeBtn");
+  const bar = document.getElementById("batchBar");
+  if (!board || !toggle || !bar) return;
 
-    if (!Array.isArray(tasks)) {
-      console.error("Invalid tasks format:", tasks);
-      showToast("Error: formato de datos incorrecto", "error");
+  toggle.addEventListener("click", () => setSelectionMode(!selectionMode));
+
+  // Fase de captura: en modo selección el clic no llega a los menús de la tarjeta
+  board.addEventListener("click", (e) => {
+    if (!selectionMode) return;
+    const card = e.target.closest(".task-card");
+    if (!card) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.shiftKey && lastSelectedId) {
+      selectRange(lastSelectedId, card);
+    } else if (selectedTaskIds.has(card.dataset.taskId)) {
+      selectedTaskIds.delete(card.dataset.taskId);
+    } else {
+      selectedTaskIds.add(card.dataset.taskId);
+    }
+    lastSelectedId = card.dataset.taskId;
+    refreshSelection();
+  }, true);
+
+  board.querySelectorAll(".column-select-all input").forEach((checkbox) => {
+    checkbox.addEventListener("change", (e) => {
+      // No es un cambio de los filtros de la columna
+      e.stopPropagation();
+      const list = checkbox.closest(".kanban-column").querySelector(".task-list");
+      list.querySelectorAll(".task-card:not([hidden])").forEach((card) => {
+        if (checkbox.checked) {
+          selectedTaskIds.add(card.dataset.taskId);
+        } else {
+          selectedTaskIds.delete(card.dataset.taskId);
+        }
+      });
+      refreshSelection();
+    });
+  });
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && selectionMode && !isTypingTarget(e.target)) setSelectionMode(false);
+  }, { signal: viewController?.signal });
+
+  document.getElementById("batchStatus")?.addEventListener("change", (e) => {
+    const status = e.target.value;
+    e.target.value = "";
+    if (!status) return;
+    runBatchAction({
+      field: "status",
+      run: (ids) => updateTasksStatus(ids, status),
+      message: (count) => `${count} ${count === 1 ? "tarea movida" : "tareas movidas"} a ${TASK_STATUSES.find((item) => item.key === status)?.label}`,
+    });
+  });
+
+  document.getElementById("batchDate")?.addEventListener("change", (e) => {
+    const date = e.target.value;
+    e.target.value = "";
+    if (!date) return;
+    runBatchAction({
+      field: "dueDate",
+      // Cada tarea conserva su hora; las que no tenían fecha quedan a mediodía
+      run: (ids) => updateTasks(ids, (task) => ({
+        dueDate: fromDateInputs(date, task.dueDate ? toTimeInputValue(task.dueDate) : "12:00"),
+      })),
+      message: (count) => `📅 ${count} ${count === 1 ? "tarea reprogramada" : "tareas reprogramadas"} al ${new Date(`${date}T12:00`).toLocaleDateString("es-ES")}`,
+    });
+  });
+
+  const applyLabel = (add) => {
+    const labelId = document.getElementById("batchLabel")?.value;
+    if (!labelId) {
+      showToast("Elige una etiqueta", "error");
       return;
     }
+    const labelName = getLabel(labelId)?.name ?? "";
+    runBatchAction({
+      field: "labels",
+      run: (ids) => updateTasks(ids, (task) => {
+        const labels = task.labels || [];
+        if (labels.includes(labelId) === add) return null;
+        return { labels: add ? [...labels, labelId] : labels.filter((id) => id !== labelId) };
+      }),
+      message: (count) => add
+        ? `🏷️ Etiqueta "${labelName}" añadida a ${count} ${count === 1 ? "tarea" : "tareas"}`
+        : `🏷️ Etiqueta "${labelName}" quitada de ${count} ${count === 1 ? "tarea" : "tareas"}`,
+    });
+  };
+  document.getElementById("batchAddLabelBtn")?.addEventListener("click", () => applyLabel(true));
+  document.getElementById("batchRemoveLabelBtn")?.addEventListener("click", () => applyLabel(false));
+
+  document.getElementById("batchDeleteBtn")?.addEventListener("click", () => {
+    runBatchAction({
+      field: "deletedAt",
+      run: trashTasks,
+      message: (count) => `🗑️ ${count} ${count === 1 ? "tarea movida" : "tareas movidas"} a la papelera`,
+    });
+  });
 
-    const columns = {
-      pending: document.querySelector(".pending-column .task-list"),
-      progress: document.querySelector(".progress-column .task-list"),
-      completed: document.querySelector(".completed-column .task-list"),
-    };
+  document.getElementById("batchCancelBtn")?.addEventListener("click", () => setSelectionMode(false));
+}
+
+/**
+ * Turns the selection mode on or off. Leaving it clears the selection.
+ * @private
+ */
+function setSelectionMode(enabled) {
+  selectionMode = enabled;
+  if (!enabled) {
+    selectedTaskIds.clear();
+    lastSelectedId = null;
+  }
+  refreshSelection();
+}
 
-    Object.entries(columns).forEach(([key, col]) => {
-      if (!col) {
-        console.error(`Column not found: .${key}-column .task-list`);
+/**
+ * Selects the visible cards of a column between the task clicked last and the given card.
+ * When both are not in the same column only the given card is selected.
+ * @private
+ */
+function selectRange(fromId, card) {
+  const cards = [...card.parentElement.querySelectorAll(".task-card:not([hidden])")];
+  const from = cards.findIndex((item) => item.dataset.taskId === fromId);
+  const to = cards.indexOf(card);
+  if (from === -1) {
+    selectedTaskIds.add(card.dataset.taskId);
+    return;
+  }
+  cards
+    .slice(Math.min(from, to), Math.max(from, to) + 1)
+    .forEach((item) => selectedTaskIds.add(item.dataset.taskId));
+}
+
+/**
+ * Syncs the selection with the board: drops tasks that are no longer visible,
+ * marks the selected cards and updates the column checkboxes and the batch bar.
+ * Selection only exists in the Kanban mode.
+ * @private
+ */
+function refreshSelection() {
+  const board = document.querySelector(".kanban-board");
+  const bar = document.getElementById("batchBar");
+  if (!board || !bar) return;
+
+  const kanban = getBoardMode() === "kanban";
+  if (!kanban) {
+    selectionMode = false;
+    selectedTaskIds.clear();
+  }
+
+  selectedTaskIds.forEach((taskId) => {
+    const card = renderedCards.get(taskId)?.card;
+    if (!card || card.hidden) selectedTaskIds.delete(taskId);
+  });
+
+  board.classList.toggle("selecting", selectionMode);
+  const toggle = document.getElementById("selectModeBtn");
+  if (toggle) {
+    toggle.hidden = !kanban;
+    toggle.setAttribute("aria-pressed", String(selectionMode));
+  }
+
+  renderedCards.forEach(({ card }, taskId) => {
+    const selected = selectedTaskIds.has(taskId);
+    card.classList.toggle("selected", selected);
+    const checkbox = card.querySelector(".task-select");
+    if (checkbox) checkbox.checked = selected;
+  });
+
+  board.querySelectorAll(".kanban-column").forEach((column) => {
+    const checkbox = column.querySelector(".column-select-all input");
+    if (!checkbox) return;
+    const cards = [...column.querySelectorAll(".task-list .task-card:not([hidden])")];
+    const count = cards.filter((card) => selectedTaskIds.has(card.dataset.taskId)).length;
+    checkbox.checked = count > 0 && count === cards.length;
+    checkbox.indeterminate = count > 0 && count < cards.length;
+    checkbox.disabled = cards.length === 0;
+  });
+
+  bar.hidden = !selectionMode;
+  const count = selectedTaskIds.size;
+  bar.querySelector(".batch-count").textContent = count === 1 ? "1 seleccionada" : `${count} seleccionadas`;
+  bar.querySelectorAll("select, input, button:not(#batchCancelBtn)").forEach((control) => {
+    control.disabled = count === 0;
+  });
+  renderBatchLabels();
+}
+
+/**
+ * Fills the label selector of the batch bar, keeping the chosen label.
+ * @private
+ */
+function renderBatchLabels() {
+  const select = document.getElementById("batchLabel");
+  if (!select) return;
+
+  const labels = getLabels();
+  const current = select.value;
+  select.innerHTML = `
+    <option value="">${labels.length > 0 ? "Etiqueta…" : "Sin etiquetas"}</option>
+    ${labels.map((label) => `<option value="${label.id}">${escapeHtml(label.name)}</option>`).join("")}
+  `;
+  select.value = labels.some((label) => label.id === current) ? current : "";
+}
+
+/**
+ * Runs a batch action on the selected tasks and reports the result. Successful
+ * changes can be undone together; tasks whose request failed are listed in an
+ * error toast and stay selected so the action can be retried.
+ * @private
+ * @param {Object} action - Batch action
+ * @param {string} action.field - Task field changed by the action, restored on undo
+ * @param {function(string[]): Promise<{updated: string[], failed: Object[], nextOccurrences?: string[]}>} action.run -
+ *   Runs the action; occurrences it created by completing repeating tasks are deleted on undo
+ * @param {function(number): string} action.message - Builds the success message from the number of tasks changed
+ */
+async function runBatchAction({ field, run, message }) {
+  const taskIds = [...selectedTaskIds];
+  if (taskIds.length === 0) return;
+
+  const previous = new Map(taskIds.map((taskId) => [taskId, taskStore.get(taskId)?.[field] ?? null]));
+  const { updated, failed, nextOccurrences = [] } = await run(taskIds);
+
+  if (updated.length > 0) {
+    recordAction(`✅ ${message(updated.length)}`, async () => {
+      const { failed: undoFailed } = await updateTasks(updated, (task) => ({ [field]: previous.get(task.id) }));
+      if (undoFailed.length > 0) throw new Error(`${undoFailed.length} de ${updated.length} tareas no se restauraron`);
+      for (const occurrenceId of nextOccurrences) {
+        await deleteTask(occurrenceId);
       }
     });
+  } else if (failed.length === 0) {
+    showToast("Las tareas seleccionadas ya tenían ese cambio", "info");
+  }
 
-    Object.values(columns).forEach((col) => {
-      if (col) col.innerHTML = "";
-    });
+  selectedTaskIds.clear();
+  if (failed.length > 0) {
+    failed.forEach(({ taskId }) => selectedTaskIds.add(taskId));
+    const titles = failed.slice(0, 3).map(({ title }) => `"${title}"`).join(", ");
+    const more = failed.length > 3 ? ` y ${failed.length - 3} más` : "";
+    showToast(
+      `❌ ${failed.length} de ${taskIds.length} tareas no se pudieron actualizar: ${titles}${more}. Siguen seleccionadas para reintentar.`,
+      "error"
+    );
+  }
+  refreshSelection();
+}
 
-    const normalizeStatus = (status) => {
-      const statusMap = {
-        pending: "pending",
-        pendiente: "pending",
-        en_progreso: "progress",
-        progress: "progress",
-        in_progress: "progress",
-        completed: "completed",
-        completada: "completed",
-        done: "completed",
-      };
-      return statusMap[status?.toLowerCase()] || "pending";
-    };
+/**
+ * Initializes inline editing of the card title and description: a double click
+ * turns the text into a field, Enter or leaving the field saves and Escape cancels.
+ * In the description Shift+Enter adds a line break.
+ * @private
+ */
+function initInlineEditing() {
+  const board = document.querySelector(".kanban-board");
+  if (!board) return;
 
-    const tasksByStatus = {
-      pending: [],
-      progress: [],
-      completed: [],
-    };
+  board.addEventListener("dblclick", (e) => {
+    const element = e.target.closest(".task-title, .task-description");
+    const card = element?.closest(".task-card");
+    if (!card || selectionMode || card.dataset.inlineEditing === "true") return;
+    if (card.dataset.syncing === "true" || card.dataset.deleting === "true" || card.dataset.editing === "true") return;
 
-    tasks.forEach((task) => {
-      const normalizedStatus = normalizeStatus(task.status);
-      if (tasksByStatus[normalizedStatus]) {
-        tasksByStatus[normalizedStatus].push(task);
+    e.preventDefault();
+    startInlineEdit(card, element);
+  });
+}
+
+/**
+ * Replaces the title or description of a card with a field to edit it.
+ * @private
+ * @param {HTMLElement} card - Task card
+ * @param {HTMLElement} element - `.task-title` or `.task-description` element of the card
+ */
+function startInlineEdit(card, element) {
+  const taskId = card.dataset.taskId;
+  const task = taskStore.get(taskId);
+  if (!task) return;
+
+  const field = element.classList.contains("task-title") ? "title" : "detail";
+  const original = field === "title" ? task.title || "" : task.detail || task.description || "";
+  const input = document.createElement(field === "title" ? "input" : "textarea");
+  input.className = "inline-edit-input";
+  input.value = original;
+  input.setAttribute("aria-label", field === "title" ? "Título de la tarea" : "Descripción de la tarea");
+  if (field === "title") input.maxLength = 200;
+
+  setInlineState(taskId, null);
+  card.dataset.inlineEditing = "true";
+  card.draggable = false;
+  element.replaceChildren(input);
+  input.focus();
+  input.select();
+
+  let finished = false;
+  const finish = async (save, { keepEditing = true } = {}) => {
+    if (finished) return;
+    const value = input.value.trim();
+    if (save && field === "title" && !value) {
+      // Misma regla que el modal de edición: el título es obligatorio
+      setInlineState(taskId, "error");
+      showToast("❌ El título de la tarea es obligatorio", "error");
+      if (keepEditing) {
+        input.focus();
+        return;
       }
+      save = false;
+    }
+
+    finished = true;
+    delete card.dataset.inlineEditing;
+    // Mostrar el texto anterior hasta que el guardado reconstruya la tarjeta
+    element.textContent = field === "title" ? original || "Sin título" : original;
+    delete card.dataset.highlight;
+    renderBoard();
+    if (save && value !== original) await saveInlineEdit(taskId, field, value);
+  };
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      e.stopPropagation();
+      finish(false);
+    } else if (e.key === "Enter" && !(field === "detail" && e.shiftKey)) {
+      e.preventDefault();
+      finish(true);
+    }
+  });
+  // Al salir del campo con el título vacío se descarta la edición
+  input.addEventListener("blur", () => finish(true, { keepEditing: false }));
+  // Los clics en el campo no deben abrir menús ni seleccionar la tarjeta
+  input.addEventListener("click", (e) => e.stopPropagation());
+}
+
+/**
+ * Saves a field edited inline and records the change for undo. Repeating tasks
+ * ask whether the change also applies to the following occurrences, as in the modal.
+ * @private
+ * @param {string} taskId - Task ID
+ * @param {string} field - 'title' or 'detail'
+ * @param {string} value - New value
+ */
+async function saveInlineEdit(taskId, field, value) {
+  const task = taskStore.get(taskId);
+  if (!task) return;
+
+  let save = updateTask;
+  let scope = null;
+  if (task.recurrence) {
+    scope = await askRecurrenceScope();
+    if (!scope) return;
+    save = scope === "series" ? updateTaskSeries : updateOccurrence;
+  }
+
+  const undoEdit = createEditUndo(taskId, scope);
+  setInlineState(taskId, "saving");
+  try {
+    await save(taskId, { [field]: value });
+    setInlineState(taskId, null);
+    recordAction(field === "title" ? "✏️ Título actualizado" : "✏️ Descripción actualizada", undoEdit);
+  } catch (err) {
+    console.error("Error actualizando tarea:", err);
+    setInlineState(taskId, "error");
+    showToast("❌ Error al guardar el cambio, se restauró el texto anterior: " + (err.message || err), "error");
+  }
+}
+
+/**
+ * Shows the save state of an inline edit on the card of a task. The error state
+ * is removed after a few seconds.
+ * @private
+ * @param {string} taskId - Task ID
+ * @param {string|null} state - 'saving', 'error', or null to clear it
+ */
+function setInlineState(taskId, state) {
+  if (state) {
+    inlineSaveStates.set(taskId, state);
+  } else {
+    inlineSaveStates.delete(taskId);
+  }
+
+  const card = renderedCards.get(taskId)?.card;
+  if (card && state) card.dataset.inlineState = state;
+  else if (card) delete card.dataset.inlineState;
+
+  if (state === "error") {
+    setTimeout(() => {
+      if (inlineSaveStates.get(taskId) === "error") setInlineState(taskId, null);
+    }, INLINE_ERROR_DURATION);
+  }
+}
+
+/**
+ * Whether a task is not completed and its due date has passed.
+ * @private
+ */
+function isOverdue(task, now = new Date()) {
+  return !isCompleted(task) && getDueState(task.dueDate, now) === "overdue";
+}
+
+/**
+ * Marks a card as overdue, due today or due this week and updates its relative due label.
+ * Completed tasks are not highlighted.
+ * @private
+ */
+function applyDueState(card, task, now = new Date()) {
+  const state = isCompleted(task) ? null : getDueState(task.dueDate, now);
+  const label = card.querySelector(".task-due-label");
+
+  if (state && state !== "later") {
+    card.dataset.due = state;
+  } else {
+    delete card.dataset.due;
+  }
+  if (label) label.textContent = state ? ` · ${formatRelativeDue(task.dueDate, now)}` : "";
+}
+
+/**
+ * Updates the overdue counter of the header and the state of the "Vencidas" filter.
+ * @private
+ * @param {Object[]} tasks - Tasks shown on the board
+ */
+function renderOverdueCounter(tasks) {
+  const now = new Date();
+  const count = tasks.filter((task) => isOverdue(task, now)).length;
+  const overdueOnly = getPreference("overdueFilter", false);
+
+  const counter = document.getElementById("overdueCounter");
+  if (counter) {
+    counter.hidden = count === 0 && !overdueOnly;
+    counter.querySelector(".overdue-count").textContent = count;
+    counter.setAttribute("aria-pressed", String(overdueOnly));
+  }
+  document.getElementById("overdueFilterBtn")?.setAttribute("aria-pressed", String(overdueOnly));
+}
+
+/**
+ * Initializes the "Vencidas" filter and refreshes the due states every minute,
+ * so that cards become overdue without reloading the board.
+ * @private
+ */
+function initDueTracking() {
+  const toggleFilter = () => {
+    setPreference("overdueFilter", !getPreference("overdueFilter", false));
+    renderBoard();
+  };
+  document.getElementById("overdueFilterBtn")?.addEventListener("click", toggleFilter);
+  document.getElementById("overdueCounter")?.addEventListener("click", toggleFilter);
+
+  const timer = setInterval(() => {
+    const now = new Date();
+    renderedCards.forEach(({ card }, id) => {
+      const task = taskStore.get(id);
+      if (task) applyDueState(card, task, now);
     });
+    // Volver a filtrar y contar, ya que alguna tarea puede haber vencido
+    renderBoard();
+  }, DUE_REFRESH_INTERVAL);
+  viewController?.signal.addEventListener("abort", () => clearInterval(timer));
+}
+
+/**
+ * Places the cards of a column's tasks in order, moving only misplaced cards.
+ * Cards of tasks filtered out stay in place but hidden, so they keep their manual position.
+ * The card being edited inline is neither moved nor hidden, since that would take the
+ * focus from its field and save the text half-typed; the board is rendered again when
+ * the edit ends.
+ * @private
+ * @param {HTMLElement} list - Task list of the column
+ * @param {Object[]} taskList - Tasks of the column, in display order
+ * @param {function(Object): boolean} isVisible - Whether a task passes the column filters
+ */
+function renderColumn(list, taskList, isVisible) {
+  let previousCard = null;
+
+  taskList.forEach((task) => {
+    const card = getCardForTask(task);
+    if (!card) return;
+    if (card.dataset.inlineEditing === "true") {
+      if (card.parentElement === list) previousCard = card;
+      return;
+    }
+    card.hidden = !isVisible(task);
+    highlightCard(card, task);
+
+    const expected = previousCard ? previousCard.nextElementSibling : list.firstElementChild;
+    if (card !== expected) {
+      list.insertBefore(card, expected);
+    }
+    previousCard = card;
+  });
+}
 
-    const sortTasksByDate = (taskList) => {
-      return taskList.sort((a, b) => {
-        if (!a.dueDate && !b.dueDate) return 0;
-        if (!a.dueDate) return 1;
-        if (!b.dueDate) return -1;
+/**
+ * Highlights the searched terms in the title and description of a card.
+ * @private
+ */
+function highlightCard(card, task) {
+  // No reescribir el texto mientras se edita en la tarjeta
+  if (card.dataset.inlineEditing === "true") return;
+  const terms = card.hidden ? [] : boardSearch.terms;
+  const key = terms.join(" ");
+  // Evitar reescribir el texto si el resaltado no cambió
+  if ((card.dataset.highlight ?? "") === key) return;
+
+  const title = card.querySelector(".task-title");
+  const description = card.querySelector(".task-description");
+  if (title) title.innerHTML = highlightMatches(task.title || "Sin título", terms);
+  if (description) description.innerHTML = highlightMatches(task.detail || task.description || "", terms);
+  card.dataset.highlight = key;
+}
+
+/**
+ * Returns the rendered card of a task, rebuilding it if the task changed.
+ * @private
+ */
+function getCardForTask(task) {
+  const rendered = renderedCards.get(task.id);
+  // La tarjeta en edición se reconstruye al terminar, para no perder lo escrito
+  if (rendered?.task === task || rendered?.card.dataset.inlineEditing === "true") return rendered.card;
+
+  const card = createTaskCard(task);
+  if (!card) return null;
+
+  rendered?.card.replaceWith(card);
+  renderedCards.set(task.id, { task, card });
+  return card;
+}
+
+/**
+ * Sorts tasks by due date, leaving tasks without a valid date at the end.
+ * @private
+ */
+function sortTasksByDate(taskList) {
+  return taskList.sort((a, b) => {
+    if (!a.dueDate && !b.dueDate) return 0;
+    if (!a.dueDate) return 1;
+    if (!b.dueDate) return -1;
+
+    const dateA = new Date(a.dueDate);
+    const dateB = new Date(b.dueDate);
 
-        const dateA = new Date(a.dueDate);
-        const dateB = new Date(b.dueDate);
+    if (isNaN(dateA.getTime()) && isNaN(dateB.getTime())) return 0;
+    if (isNaN(dateA.getTime())) return 1;
+    if (isNaN(dateB.getTime())) return -1;
 
-        if (isNaN(dateA.getTime()) && isNaN(dateB.getTime())) return 0;
-        if (isNaN(dateA.getTime())) return 1;
-        if (isNaN(dateB.getTime())) return -1;
+    return dateA.getTime() - dateB.getTime();
+  });
+}
 
-        return dateA.getTime() - dateB.getTime();
+/**
+ * Sorts tasks from highest to lowest priority, then by due date.
+ * @private
+ */
+function sortTasksByPriority(taskList) {
+  const rank = (task) => TASK_PRIORITIES.indexOf(task.priority ?? DEFAULT_PRIORITY);
+  return sortTasksByDate(taskList).sort((a, b) => rank(b) - rank(a));
+}
+
+/**
+ * Returns the sort and filter chosen for a column.
+ * @private
+ * @param {string} status - Column status
+ * @returns {{sort: string, priority: string}} Sort key ('date' or 'priority') and priority filter ('' for all)
+ */
+function getColumnSettings(status) {
+  const settings = getPreference("columnSettings", {})?.[status];
+  return { sort: "date", priority: "", ...settings };
+}
+
+/**
+ * Saves the sort and filter chosen for a column.
+ * @private
+ */
+function saveColumnSettings(status, settings) {
+  const all = getPreference("columnSettings", {}) || {};
+  setPreference("columnSettings", { ...all, [status]: settings });
+}
+
+/**
+ * Initializes the sort and priority filter selectors of every column.
+ * @private
+ */
+function initColumnToolbars() {
+  document.querySelectorAll(".kanban-column").forEach((column) => {
+    const status = getTaskStatusFromColumn(column);
+    const sortSelect = column.querySelector(".column-sort");
+    const filterSelect = column.querySelector(".column-priority-filter");
+    const settings = getColumnSettings(status);
+
+    if (sortSelect) sortSelect.value = settings.sort;
+    if (filterSelect) filterSelect.value = settings.priority;
+
+    column.querySelector(".column-toolbar")?.addEventListener("change", () => {
+      saveColumnSettings(status, {
+        sort: sortSelect?.value || "date",
+        priority: filterSelect?.value || "",
       });
-    };
+      renderBoard();
+    });
+  });
+}
+
+/**
+ * Returns the IDs of the labels the board is filtered by.
+ * @private
+ * @returns {string[]} Label IDs; empty when the filter is off
+ */
+function getLabelFilter() {
+  const filter = getPreference("labelFilter", []);
+  return Array.isArray(filter) ? filter.filter((id) => getLabel(id)) : [];
+}
+
+/**
+ * Whether a task has at least one of the labels in the filter.
+ * @private
+ */
+function matchesLabelFilter(task, labelFilter) {
+  return labelFilter.length === 0 || labelFilter.some((id) => task.labels?.includes(id));
+}
+
+/**
+ * Initializes the label filter of the board and the label management modal.
+ * @private
+ */
+function initLabels() {
+  const modal = document.getElementById("labelsModal");
+  const form = document.getElementById("createLabelForm");
+  const list = modal?.querySelector(".labels-manager-list");
+
+  renderLabelFilter();
+
+  document.querySelector(".label-filter-chips")?.addEventListener("click", (e) => {
+    const chip = e.target.closest("[data-label-id]");
+    if (!chip) return;
+
+    const filter = getLabelFilter();
+    const id = chip.dataset.labelId;
+    setPreference("labelFilter", filter.includes(id) ? filter.filter((item) => item !== id) : [...filter, id]);
+    renderLabelFilter();
+    renderBoard();
+  });
+
+  if (!modal || !form || !list) {
+    console.warn("Labels modal elements not found");
+    return;
+  }
+
+  document.getElementById("manageLabelsBtn")?.addEventListener("click", () => {
+    renderLabelsManager();
+    modal.style.display = "block";
+  });
+
+  modal.querySelector(".close-modal")?.addEventListener("click", () => (modal.style.display = "none"));
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) modal.style.display = "none";
+  });
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const data = new FormData(form);
+
+    try {
+      createLabel({ name: data.get("labelName"), color: data.get("labelColor") });
+      form.reset();
+      refreshLabels();
+    } catch (err) {
+      showToast("❌ " + err.message, "error");
+    }
+  });
+
+  // Renombrar o cambiar el color al salir del campo
+  list.addEventListener("change", (e) => {
+    const id = e.target.closest("[data-label-id]")?.dataset.labelId;
+    if (!id) return;
+
+    try {
+      if (e.target.classList.contains("label-name-input")) {
+        updateLabel(id, { name: e.target.value });
+      } else if (e.target.classList.contains("label-color-input")) {
+        updateLabel(id, { color: e.target.value });
+      }
+    } catch (err) {
+      showToast("❌ " + err.message, "error");
+    }
+    refreshLabels();
+  });
+
+  list.addEventListener("click", async (e) => {
+    if (!e.target.closest(".label-delete-btn")) return;
+    const id = e.target.closest("[data-label-id]")?.dataset.labelId;
+    const label = id && getLabel(id);
+    if (!label || !confirm(`¿Eliminar la etiqueta "${label.name}"? Se quitará de todas las tareas.`)) return;
+
+    const removing = deleteLabel(id);
+    refreshLabels();
+    await removing;
+    showToast("🏷️ Etiqueta eliminada", "success");
+  });
+}
+
+/**
+ * Re-renders everything that shows labels after a label changed.
+ * @private
+ */
+function refreshLabels() {
+  // Las tarjetas solo se reconstruyen cuando cambia su tarea; forzarlo para mostrar las etiquetas nuevas
+  renderedCards.forEach((entry) => {
+    entry.task = null;
+  });
+  renderLabelFilter();
+  renderLabelsManager();
+  renderFilterLabels();
+  renderBoard();
+}
+
+/**
+ * Renders the label chips used to filter the board.
+ * @private
+ */
+function renderLabelFilter() {
+  const container = document.querySelector(".label-filter-chips");
+  if (!container) return;
+
+  const labels = getLabels();
+  const filter = getLabelFilter();
+
+  if (labels.length === 0) {
+    container.innerHTML = `<span class="label-filter-empty">Crea etiquetas para filtrar el tablero</span>`;
+    return;
+  }
+
+  container.innerHTML = labels.map((label) => `
+    <button type="button" class="label-chip label-filter-chip" data-label-id="${label.id}"
+      aria-pressed="${filter.includes(label.id)}" style="background-color: ${getLabelColor(label)}">
+      ${escapeHtml(label.name)}
+    </button>
+  `).join("");
+}
+
+/**
+ * Renders the editable list of labels in the management modal.
+ * @private
+ */
+function renderLabelsManager() {
+  const list = document.querySelector("#labelsModal .labels-manager-list");
+  if (!list) return;
+
+  const labels = getLabels();
+  if (labels.length === 0) {
+    list.innerHTML = `<li class="label-filter-empty">Todavía no hay etiquetas</li>`;
+    return;
+  }
+
+  list.innerHTML = labels.map((label) => `
+    <li data-label-id="${label.id}">
+      <input type="color" class="label-color-input" value="${getLabelColor(label)}" aria-label="Color" />
+      <input type="text" class="label-name-input" value="${escapeHtml(label.name).replace(/"/g, "&quot;")}" maxlength="30" aria-label="Nombre" />
+      <button type="button" class="label-delete-btn" title="Eliminar etiqueta">🗑️</button>
+    </li>
+  `).join("");
+}
+
+/**
+ * Renders the label checkboxes of a task form.
+ * @private
+ * @param {HTMLElement|null} container - Picker container
+ * @param {string[]} selectedIds - IDs of the labels to check
+ */
+function renderLabelPicker(container, selectedIds) {
+  if (!container) return;
+
+  const labels = getLabels();
+  if (labels.length === 0) {
+    container.innerHTML = `<span class="label-filter-empty">Sin etiquetas. Créalas desde "Gestionar etiquetas".</span>`;
+    return;
+  }
 
-    Object.keys(tasksByStatus).forEach(status => {
-      tasksByStatus[status] = sortTasksByDate(tasksByStatus[status]);
-    });
+  container.innerHTML = labels.map((label) => `
+    <label class="label-option">
+      <input type="checkbox" name="taskLabels" value="${label.id}" ${selectedIds.includes(label.id) ? "checked" : ""} />
+      <span class="label-chip" style="background-color: ${getLabelColor(label)}">${escapeHtml(label.name)}</span>
+    </label>
+  `).join("");
+}
 
-    Object.entries(tasksByStatus).forEach(([status, taskList]) => {
-      const col = columns[status];
-      if (!col) {
-        console.warn(`Columna no encontrada para estado: ${status}`);
-        return;
-      }
+/**
+ * Returns the identifier of a task as a string.
+ * @private
+ */
+function getTaskId(task) {
+  return String(task?.id || task?._id || "");
+}
 
-      if (taskList.length === 0) {
-        const emptyDiv = document.createElement("div");
-        emptyDiv.className = "empty-state";
-        emptyDiv.style.cssText = `
-          text-align: center;
-          color: #888;
-          padding: 20px;
-          font-style: italic;
-        `;
-        emptyDiv.textContent = "No hay tareas aún";
-        col.appendChild(emptyDiv);
-      } else {
-        taskList.forEach((task) => {
-          const taskCard = createTaskCard(task);
-          if (taskCard) {
-            col.appendChild(taskCard);
-          }
-        });
-      }
-    });
+/**
+ * Reads the manual card order saved for each column.
+ * @private
+ * @returns {Object<string, string[]>} Task IDs by column status
+ */
+function getSavedColumnOrder() {
+  return getPreference("taskOrder", {}) || {};
+}
 
-    updateColumnCounts(tasksByStatus);
+/**
+ * Reads the card order of every manually sorted column as shown in the DOM.
+ * Columns sorted by priority are left out so they keep their saved manual order.
+ * @private
+ * @returns {Object<string, string[]>} Task IDs by column status
+ */
+function readColumnOrder() {
+  const order = {};
+  document.querySelectorAll(".kanban-column .task-list").forEach((list) => {
+    const status = getTaskStatusFromColumn(list);
+    if (getColumnSettings(status).sort === "priority") return;
+
+    order[status] = [...list.querySelectorAll(".task-card")]
+      .map((card) => card.dataset.taskId)
+      .filter(Boolean);
+  });
+  return order;
+}
 
-  } catch (err) {
-    console.error("Error cargando tareas:", err);
-    showToast("Error cargando tareas: " + (err.message || err), "error");
-  }
+/**
+ * Saves a manual card order, by default the one currently shown in the DOM.
+ * @private
+ */
+function saveColumnOrder(order = readColumnOrder()) {
+  setPreference("taskOrder", { ...getSavedColumnOrder(), ...order });
 }
 
 /**
- * Updates the task count display for each column.
+ * Sorts a column's tasks by the order the user set by dragging.
+ * Tasks without a saved position keep their relative order at the end.
  * @private
  */
-function updateColumnCounts(tasksByStatus) {
-  const counters = {
-    pending: document.querySelector(".pending-column .column-count"),
-    progress: document.querySelector(".progress-column .column-count"),
-    completed: document.querySelector(".completed-column .column-count"),
-  };
+function applyManualOrder(taskList, order) {
+  if (!Array.isArray(order) || order.length === 0) return taskList;
 
-  Object.entries(counters).forEach(([status, counter]) => {
-    if (counter && tasksByStatus[status]) {
-      counter.textContent = tasksByStatus[status].length;
-    }
-  });
+  const position = new Map(order.map((id, index) => [id, index]));
+  const rank = (task) => position.has(getTaskId(task)) ? position.get(getTaskId(task)) : order.length;
+
+  return [...taskList].sort((a, b) => rank(a) - rank(b));
 }
 
 /**
@@ -208,10 +1426,12 @@ function createTaskCard(task) {
 
   const card = document.createElement("div");
   card.className = "task-card";
-  card.dataset.taskId = task.id || task._id || "";
+  card.dataset.taskId = getTaskId(task);
 
   const title = task.title || "Sin título";
   const detail = task.detail || task.description || "";
+  const priority = task.priority || DEFAULT_PRIORITY;
+  card.dataset.priority = priority;
 
   let dateHtml = "";
   if (task.dueDate) {
@@ -231,7 +1451,7 @@ function createTaskCard(task) {
         const timeStr = `${hours}:${minutes}`;
 
         console.log('Fecha formateada:', { dateStr, timeStr, originalDate: taskDate.toString() });
-        dateHtml = `<div class="task-datetime">📅 ${dateStr} ⏰ ${timeStr}</div>`;
+        dateHtml = `<div class="task-datetime">📅 ${dateStr} ⏰ ${timeStr}<span class="task-due-label"></span></div>`;
       } else {
         console.warn("Fecha inválida:", task.dueDate);
       }
@@ -240,6 +1460,7 @@ function createTaskCard(task) {
     }
   }
   card.innerHTML = `
+    <input type="checkbox" class="task-select" aria-label="Seleccionar tarea" tabindex="-1" />
     <div class="task-options">
       <button class="task-menu-btn" title="Opciones">⋮</button>
       <div class="task-dropdown-menu">
@@ -253,65 +1474,162 @@ function createTaskCard(task) {
         </div>
       </div>
     </div>
+    <span class="task-priority priority-${priority}">${PRIORITY_LABELS[priority] || priority}</span>
     <div class="task-title">${escapeHtml(title)}</div>
     <div class="task-description">${escapeHtml(detail)}</div>
+    ${renderLabelChips(task.labels)}
+    ${renderChecklistProgress(task)}
+    ${task.recurrence ? `<div class="task-recurrence">🔁 ${escapeHtml(describeRecurrence(task.recurrence))}</div>` : ""}
+    ${renderReminders(task.reminders)}
     ${dateHtml}
   `;
 
-  card.draggable = true;
+  // Las tareas pendientes de confirmar por el servidor no se pueden mover ni editar
+  if (task.syncing) {
+    card.dataset.syncing = 'true';
+  }
+  if (inlineSaveStates.has(card.dataset.taskId)) {
+    card.dataset.inlineState = inlineSaveStates.get(card.dataset.taskId);
+  }
+  if (selectedTaskIds.has(card.dataset.taskId)) {
+    card.classList.add("selected");
+    card.querySelector(".task-select").checked = true;
+  }
+  card.draggable = !task.syncing;
+  applyDueState(card, task);
   return card;
 }
 
 /**
- * Escapes HTML special characters.
+ * Builds the label chips of a card, skipping labels that no longer exist.
  * @private
+ * @param {string[]} [labelIds] - IDs of the task labels
+ * @returns {string} HTML of the chips, or an empty string
  */
-function escapeHtml(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
+function renderLabelChips(labelIds = []) {
+  const chips = labelIds
+    .map(getLabel)
+    .filter(Boolean)
+    .map((label) => `<span class="label-chip" style="background-color: ${getLabelColor(label)}">${escapeHtml(label.name)}</span>`);
+
+  return chips.length ? `<div class="task-labels">${chips.join("")}</div>` : "";
 }
 
 /**
- * Initializes the user dropdown menu.
+ * Builds the checklist progress indicator of a card, e.g. "3/5".
  * @private
+ * @returns {string} HTML of the indicator, or an empty string without checklist
  */
-function initUserDropdown() {
-  const userProfile = document.querySelector(".user-profile");
-  if (!userProfile) return;
-  const dropdown = userProfile.querySelector(".user-dropdown");
+function renderChecklistProgress(task) {
+  const { done, total } = getChecklistProgress(task);
+  if (total === 0) return "";
+
+  return `
+    <div class="task-checklist-progress" data-complete="${done === total}" title="${done} de ${total} elementos completados">
+      <span>☑ ${done}/${total}</span>
+      <span class="checklist-bar"><span style="width: ${Math.round((done / total) * 100)}%"></span></span>
+    </div>
+  `;
+}
 
-  userProfile.addEventListener("click", (e) => {
-    e.stopPropagation();
-    dropdown.classList.toggle("active");
-    userProfile.classList.toggle("active");
-  });
+/**
+ * Renders the reminder indicator of a task card.
+ * @private
+ */
+function renderReminders(reminders) {
+  if (!reminders?.length) return "";
 
-  document.addEventListener("click", () => {
-    dropdown.classList.remove("active");
-    userProfile.classList.remove("active");
-  });
+  const names = reminders.map((offset) => REMINDER_LABELS[offset] || `${offset} min antes`).join(", ");
+  return `<div class="task-reminders" title="Recordatorios: ${names}">🔔 ${names}</div>`;
+}
+
+/**
+ * Returns the color of a label, safe to use in an inline style.
+ * @private
+ */
+function getLabelColor(label) {
+  return isHexColor(label.color) ? label.color : "#6c757d";
+}
 
-  const profileOption = document.getElementById("profileOption");
-  const logoutOption = document.getElementById("logoutOption");
+/**
+ * Refreshes the user name stored for the header from the user profile.
+ * When the profile cannot be loaded the header keeps the stored name or the email.
+ * @private
+ */
+async function refreshStoredUserName() {
+  const currentUser = getCurrentUser();
+  if (!currentUser?.userId) return;
 
-  if (profileOption) {
-    profileOption.addEventListener("click", () => {
-      location.hash = "#/user-profile";
-    });
+  try {
+    const userProfile = await getUserProfile(currentUser.userId);
+    if (userProfile.firstName && userProfile.lastName) {
+      localStorage.setItem("userName", `${userProfile.firstName} ${userProfile.lastName}`);
+      localStorage.setItem("userFirstName", userProfile.firstName);
+    }
+  } catch (error) {
+    console.warn("No se pudo cargar el perfil:", error);
   }
+}
 
-  if (logoutOption) {
-    logoutOption.addEventListener("click", () => {
-      const modal = document.getElementById("logoutModal");
-      if (modal) {
-        modal.style.display = "block";
-      } else {
-        // Fallback al logout directo si no existe el modal
-        executeLogout();
-      }
-    });
+/**
+ * Asks for confirmation before signing out.
+ * @private
+ */
+function openLogoutModal() {
+  const modal = document.getElementById("logoutModal");
+  if (modal) {
+    modal.style.display = "block";
+  } else {
+    // Fallback al logout directo si no existe el modal
+    executeLogout();
+  }
+}
+
+/**
+ * Opens the create modal with an empty form due on the given day and time,
+ * by default today at the current time.
+ * @private
+ * @param {Object} [defaults] - Initial due date
+ * @param {string|null} [defaults.date] - Day (YYYY-MM-DD)
+ * @param {string|null} [defaults.time] - Time (HH:MM)
+ * @param {string|null} [defaults.returnRoute] - Route to go back to when the modal closes
+ */
+function openCreateModal({ date = null, time = null, returnRoute = null } = {}) {
+  const modal = document.getElementById("createTask");
+  const form = document.getElementById("createTaskForm");
+  if (!modal || !form) return;
+
+  createReturnRoute = returnRoute;
+  modal.style.display = "block";
+  form.reset();
+  renderLabelPicker(document.getElementById("taskLabelPicker"), []);
+  updateRecurrenceVisibility(form);
+
+  const dateInput = document.getElementById("taskDate");
+  const timeInput = document.getElementById("taskTime");
+  if (dateInput) {
+    const todayStr = toDateInputValue(new Date());
+    dateInput.value = date || todayStr;
+    // Fecha mínima hoy, salvo si se eligió un día anterior en el calendario
+    dateInput.min = dateInput.value < todayStr ? dateInput.value : todayStr;
+  }
+  if (timeInput) {
+    timeInput.value = time || toTimeInputValue(new Date());
   }
+  form.elements.taskTitle?.focus();
+}
+
+/**
+ * Closes the create modal and, if another view opened it, goes back to that view.
+ * @private
+ */
+function closeCreateModal() {
+  const modal = document.getElementById("createTask");
+  if (modal) modal.style.display = "none";
+
+  const route = createReturnRoute;
+  createReturnRoute = null;
+  if (route) location.hash = route;
 }
 
 /**
@@ -330,41 +1648,18 @@ function initCreateTaskModal() {
     return;
   }
 
-  openBtn.addEventListener("click", () => {
-    modal.style.display = "block";
-    form.reset();
-    
-    // Establecer fecha mínima como hoy
-    const dateInput = document.getElementById("taskDate");
-    const timeInput = document.getElementById("taskTime");
-    
-    if (dateInput) {
-      const today = new Date();
-      const todayStr = today.toISOString().split('T')[0];
-      dateInput.min = todayStr;
-      
-      // Si no hay fecha seleccionada, usar hoy
-      if (!dateInput.value) {
-        dateInput.value = todayStr;
-      }
-    }
-    
-    // Establecer hora por defecto si no hay ninguna
-    if (timeInput && !timeInput.value) {
-      const now = new Date();
-      const hours = String(now.getHours()).padStart(2, '0');
-      const minutes = String(now.getMinutes()).padStart(2, '0');
-      timeInput.value = `${hours}:${minutes}`;
-    }
-  });
+  openBtn.addEventListener("click", () => openCreateModal());
 
-  closeBtn?.addEventListener("click", () => (modal.style.display = "none"));
-  cancelBtn?.addEventListener("click", () => (modal.style.display = "none"));
+  closeBtn?.addEventListener("click", closeCreateModal);
+  cancelBtn?.addEventListener("click", closeCreateModal);
 
   modal.addEventListener("click", (e) => {
-    if (e.target === modal) modal.style.display = "none";
+    if (e.target === modal) closeCreateModal();
   });
 
+  initRecurrenceFields(form);
+  initReminderFields(form);
+
   form.addEventListener("submit", async (e) => {
     e.preventDefault();
     const submitBtn = form.querySelector('button[type="submit"]');
@@ -377,6 +1672,7 @@ function initCreateTaskModal() {
     
     if (cancelBtn) cancelBtn.disabled = true;
 
+    let creating = null;
     try {
       const data = new FormData(form);
       const currentUser = getCurrentUser();
@@ -401,6 +1697,10 @@ function initCreateTaskModal() {
         title: data.get("taskTitle")?.trim() || "",
         detail: data.get("taskDesc")?.trim() || "",
         status: data.get("taskStatus") || "pending",
+        priority: data.get("taskPriority") || DEFAULT_PRIORITY,
+        labels: data.getAll("taskLabels"),
+        recurrence: readRecurrenceFields(form),
+        reminders: data.getAll("taskReminders").map(Number),
         dueDate: dueDate,
         user_email: currentUser.email,
       };
@@ -409,100 +1709,413 @@ function initCreateTaskModal() {
         throw new Error("El título de la tarea es obligatorio");
       }
 
-      console.log("Creando tarea:", taskData);
-      await createTask(taskData);
-      await loadTasksFromBackend();
+      console.log("Creando tarea:", taskData);
+      // La tarjeta aparece de inmediato; no hace falta esperar al servidor para cerrar
+      creating = createTask(taskData);
+      form.reset();
+      closeCreateModal();
+    } catch (err) {
+      console.error("Error creando tarea:", err);
+      showToast("❌ Error al crear tarea: " + (err.message || err), "error");
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = originalText;
+      if (cancelBtn) cancelBtn.disabled = false;
+    }
+
+    if (!creating) return;
+
+    try {
+      await creating;
+      showToast("✅ Tarea creada exitosamente", "success");
+    } catch (err) {
+      console.error("Error creando tarea:", err);
+      showToast("❌ Error al crear tarea: " + (err.message || err), "error");
+    }
+  });
+}
+
+/**
+ * Initializes the edit task modal.
+ * @private
+ */
+function initEditTaskModal() {
+  const modal = document.getElementById("editTask");
+  const closeBtn = modal?.querySelector(".close-modal");
+  const form = document.getElementById("editTaskForm");
+  const cancelBtn = document.getElementById("cancelEditTaskBtn");
+
+  if (!modal || !form) {
+    console.warn("Edit task modal elements not found");
+    return;
+  }
+
+  closeBtn?.addEventListener("click", () => (modal.style.display = "none"));
+  cancelBtn?.addEventListener("click", () => (modal.style.display = "none"));
+
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) modal.style.display = "none";
+  });
+
+  initRecurrenceFields(form);
+  initReminderFields(form);
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const submitBtn = form.querySelector('button[type="submit"]');
+
+    // Verificar si ya se está procesando
+    if (submitBtn.disabled) {
+      return;
+    }
+
+    const originalText = submitBtn.textContent;
+    submitBtn.disabled = true;
+    submitBtn.textContent = "Guardando...";
+
+    // Deshabilitar también el botón de cancelar para evitar interferencias
+    if (cancelBtn) {
+      cancelBtn.disabled = true;
+    }
+
+    let updating = null;
+    try {
+      const data = new FormData(form);
+      const taskId = form.dataset.taskId;
+
+      if (!taskId) {
+        throw new Error("ID de tarea no encontrado");
+      }
+
+      const taskData = {
+        title: data.get("taskTitle")?.trim() || "",
+        detail: data.get("taskDesc")?.trim() || "",
+        status: data.get("taskStatus"),
+        priority: data.get("taskPriority") || DEFAULT_PRIORITY,
+        labels: data.getAll("taskLabels"),
+        checklist: checklistDraft.map((item) => ({ ...item })),
+        recurrence: readRecurrenceFields(form),
+        reminders: data.getAll("taskReminders").map(Number),
+      };
+
+      // Enviar la fecha solo si el usuario la cambió, para no perder precisión
+      const dateChanged = data.get("taskDate") !== form.dataset.originalDate ||
+        data.get("taskTime") !== form.dataset.originalTime;
+      if (dateChanged) {
+        taskData.dueDate = fromDateInputs(data.get("taskDate"), data.get("taskTime"));
+      }
+
+      if (!taskData.title) {
+        throw new Error("El título de la tarea es obligatorio");
+      }
+
+      // En tareas repetidas, preguntar si los cambios de contenido afectan a las siguientes
+      const currentTask = taskStore.get(taskId);
+      let save = updateTask;
+      let scope = null;
+      if (currentTask?.recurrence && taskData.recurrence && hasTemplateChanges(taskData, currentTask)) {
+        scope = await askRecurrenceScope();
+        if (!scope) return;
+        save = scope === "series" ? updateTaskSeries : updateOccurrence;
+      }
+
+      console.log("Actualizando tarea:", taskData);
+      // Los cambios se ven de inmediato y se revierten si el servidor falla
+      const undoEdit = createEditUndo(taskId, scope);
+      updating = save(taskId, taskData).then(async (task) => {
+        const nextOccurrence = await continueSeries(currentTask, task);
+        recordAction("✏️ Tarea actualizada", async () => {
+          await undoEdit();
+          if (nextOccurrence) await deleteTask(nextOccurrence.id);
+        });
+      });
+      modal.style.display = "none";
+    } catch (err) {
+      console.error("Error actualizando tarea:", err);
+      showToast("❌ Error al actualizar tarea: " + (err.message || err), "error");
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = originalText;
+      if (cancelBtn) {
+        cancelBtn.disabled = false;
+      }
+    }
+
+    if (!updating) return;
+
+    try {
+      await updating;
+    } catch (err) {
+      console.error("Error actualizando tarea:", err);
+      showToast("❌ Error al actualizar tarea, se restauraron los datos: " + (err.message || err), "error");
+    }
+  });
+}
+
+/**
+ * Shows the recurrence options that apply to the chosen frequency and end.
+ * @private
+ * @param {HTMLFormElement} form - Create or edit task form
+ */
+function initRecurrenceFields(form) {
+  form.querySelector(".recurrence-fields")?.addEventListener("change", () => updateRecurrenceVisibility(form));
+}
+
+/**
+ * Updates which recurrence inputs of a form are visible.
+ * @private
+ */
+function updateRecurrenceVisibility(form) {
+  const frequency = form.elements.repeatFrequency?.value;
+  const end = form.elements.repeatEnd?.value;
+  const toggle = (selector, visible) => {
+    const element = form.querySelector(selector);
+    if (element) element.hidden = !visible;
+  };
+
+  toggle(".recurrence-options", Boolean(frequency));
+  toggle(".recurrence-interval", frequency === "interval");
+  toggle(".recurrence-weekdays", frequency === "weekly");
+  toggle('[name="repeatUntil"]', end === "date");
+  toggle('[name="repeatCount"]', end === "count");
+}
+
+/**
+ * Reads the recurrence rule chosen in a form.
+ * The task service validates it and keeps the series and position of the task.
+ * @private
+ * @returns {Object|null} Recurrence rule, or null if the task does not repeat
+ */
+function readRecurrenceFields(form) {
+  const data = new FormData(form);
+  const frequency = data.get("repeatFrequency");
+  if (!frequency) return null;
+
+  const end = data.get("repeatEnd");
+  return {
+    frequency,
+    interval: data.get("repeatInterval"),
+    weekdays: data.getAll("repeatWeekdays").map(Number),
+    endDate: end === "date" ? data.get("repeatUntil") || null : null,
+    count: end === "count" ? Number(data.get("repeatCount")) : null,
+  };
+}
+
+/**
+ * Fills the recurrence inputs of a form from a rule.
+ * @private
+ */
+function fillRecurrenceFields(form, rule) {
+  const fields = form.elements;
+  if (!fields.repeatFrequency) return;
+
+  fields.repeatFrequency.value = rule?.frequency || "";
+  fields.repeatInterval.value = rule?.frequency === "interval" ? rule.interval : 2;
+  form.querySelectorAll('[name="repeatWeekdays"]').forEach((input) => {
+    input.checked = Boolean(rule?.weekdays?.includes(Number(input.value)));
+  });
+  fields.repeatEnd.value = rule?.count ? "count" : rule?.endDate ? "date" : "never";
+  fields.repeatUntil.value = rule?.endDate || "";
+  fields.repeatCount.value = rule?.count || 5;
+  updateRecurrenceVisibility(form);
+}
+
+/**
+ * Asks for notification permission when the user picks a reminder in a form.
+ * Without permission, reminders are shown as toasts while the app is open.
+ * @private
+ * @param {HTMLFormElement} form - Create or edit task form
+ */
+function initReminderFields(form) {
+  form.querySelector(".reminder-fields")?.addEventListener("change", (e) => {
+    if (e.target.name === "taskReminders" && e.target.checked) {
+      requestReminderPermission();
+    }
+  });
+}
+
+/**
+ * Snapshots a task before an edit, together with the later occurrences of its
+ * series when the edit applies to them, and returns the function that restores them.
+ * @private
+ * @param {string} taskId - Task ID
+ * @param {string|null} scope - 'series' if the edit also changes the following occurrences
+ * @returns {function(): Promise<void>} Restores the snapshot
+ */
+function createEditUndo(taskId, scope) {
+  const task = taskStore.get(taskId);
+  const tasks = [...(task ? [task] : []), ...(scope === "series" ? getLaterOccurrences(taskId) : [])];
+  const previous = new Map(tasks.map((other) => [other.id, getEditableFields(other)]));
+
+  return async () => {
+    const { failed } = await updateTasks([...previous.keys()], (other) => previous.get(other.id));
+    if (failed.length > 0) throw new Error(`${failed.length} de ${previous.size} tareas no se restauraron`);
+  };
+}
+
+/**
+ * Returns the undo of a status change: restores the previous status and deletes
+ * the occurrence created by completing a repeating task, so completing it again
+ * does not create a second one.
+ * @private
+ * @param {string} taskId - Task ID
+ * @param {string} previousStatus - Status to restore
+ * @param {Object|null} nextOccurrence - Occurrence created by the change, if any
+ * @returns {function(): Promise<void>} Undo function for recordAction
+ */
+function undoStatusChange(taskId, previousStatus, nextOccurrence) {
+  return async () => {
+    await updateTask(taskId, { status: previousStatus });
+    if (nextOccurrence) await deleteTask(nextOccurrence.id);
+  };
+}
+
+/**
+ * Asks whether an edit applies to one occurrence or to the following ones too.
+ * @private
+ * @returns {Promise<string|null>} 'single', 'series', or null if the user cancelled
+ */
+function askRecurrenceScope() {
+  const modal = document.getElementById("recurrenceScopeModal");
+  if (!modal) {
+    // Fallback al confirm nativo si no existe el modal
+    return Promise.resolve(confirm("¿Aplicar los cambios también a las siguientes repeticiones?") ? "series" : "single");
+  }
+
+  modal.style.display = "block";
+  return new Promise((resolve) => {
+    const finish = (scope) => {
       modal.style.display = "none";
-      form.reset();
-      showToast("✅ Tarea creada exitosamente", "success");
-    } catch (err) {
-      console.error("Error creando tarea:", err);
-      showToast("❌ Error al crear tarea: " + (err.message || err), "error");
-    } finally {
-      submitBtn.disabled = false;
-      submitBtn.textContent = originalText;
-      if (cancelBtn) cancelBtn.disabled = false;
-    }
+      modal.removeEventListener("click", onClick);
+      resolve(scope);
+    };
+    const onClick = (e) => {
+      const scope = e.target.closest("[data-scope]")?.dataset.scope;
+      if (scope) finish(scope);
+      else if (e.target === modal || e.target.closest(".close-modal")) finish(null);
+    };
+    modal.addEventListener("click", onClick);
   });
 }
 
 /**
- * Initializes the edit task modal.
+ * Initializes the checklist section of the edit modal: adding, checking,
+ * reordering and deleting items, and the option to move the task automatically.
  * @private
  */
-function initEditTaskModal() {
-  const modal = document.getElementById("editTask");
-  const closeBtn = modal?.querySelector(".close-modal");
-  const form = document.getElementById("editTaskForm");
-  const cancelBtn = document.getElementById("cancelEditTaskBtn");
-
-  if (!modal || !form) {
-    console.warn("Edit task modal elements not found");
+function initChecklistEditor() {
+  const list = document.getElementById("editChecklist");
+  const input = document.getElementById("newChecklistItem");
+  const addBtn = document.getElementById("addChecklistItemBtn");
+  const autoMoveInput = document.getElementById("checklistAutoMove");
+
+  if (!list || !input) {
+    console.warn("Checklist editor elements not found");
     return;
   }
 
-  closeBtn?.addEventListener("click", () => (modal.style.display = "none"));
-  cancelBtn?.addEventListener("click", () => (modal.style.display = "none"));
+  const addItem = () => {
+    const text = input.value.trim();
+    if (!text) return;
 
-  modal.addEventListener("click", (e) => {
-    if (e.target === modal) modal.style.display = "none";
-  });
+    checklistDraft.push({ id: `chk-${Date.now().toString(36)}-${++checklistItemSequence}`, text, done: false });
+    input.value = "";
+    input.focus();
+    renderChecklistEditor();
+  };
 
-  form.addEventListener("submit", async (e) => {
-    e.preventDefault();
-    const submitBtn = form.querySelector('button[type="submit"]');
+  addBtn?.addEventListener("click", addItem);
 
-    // Verificar si ya se está procesando
-    if (submitBtn.disabled) {
-      return;
+  // Enter agrega el elemento en lugar de enviar el formulario
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      addItem();
     }
+  });
 
-    const originalText = submitBtn.textContent;
-    submitBtn.disabled = true;
-    submitBtn.textContent = "Guardando...";
+  list.addEventListener("change", (e) => {
+    const index = getChecklistItemIndex(e.target);
+    if (index === -1 || e.target.type !== "checkbox") return;
 
-    // Deshabilitar también el botón de cancelar para evitar interferencias
-    if (cancelBtn) {
-      cancelBtn.disabled = true;
+    const wasStarted = checklistDraft.some((item) => item.done);
+    checklistDraft[index] = { ...checklistDraft[index], done: e.target.checked };
+    renderChecklistEditor();
+
+    if (autoMoveInput?.checked) applyChecklistAutoMove(wasStarted);
+  });
+
+  list.addEventListener("click", (e) => {
+    const button = e.target.closest("button");
+    const index = getChecklistItemIndex(e.target);
+    if (!button || index === -1) return;
+
+    if (button.classList.contains("checklist-delete")) {
+      checklistDraft.splice(index, 1);
+    } else {
+      const target = button.classList.contains("checklist-up") ? index - 1 : index + 1;
+      if (target < 0 || target >= checklistDraft.length) return;
+      [checklistDraft[index], checklistDraft[target]] = [checklistDraft[target], checklistDraft[index]];
     }
+    renderChecklistEditor();
+  });
 
-    try {
-      const data = new FormData(form);
-      const taskId = form.dataset.taskId;
+  autoMoveInput?.addEventListener("change", () => {
+    setPreference("checklistAutoMove", autoMoveInput.checked);
+  });
+}
 
-      if (!taskId) {
-        throw new Error("ID de tarea no encontrado");
-      }
+/**
+ * Returns the position in the draft of the checklist item containing an element.
+ * @private
+ */
+function getChecklistItemIndex(element) {
+  const id = element.closest("[data-item-id]")?.dataset.itemId;
+  return checklistDraft.findIndex((item) => item.id === id);
+}
 
-      const taskData = {
-        title: data.get("taskTitle")?.trim() || "",
-        detail: data.get("taskDesc")?.trim() || "",
-        state: mapStatusToBackend(data.get("taskStatus")),
-        date: data.get("taskDate")
-          ? `${data.get("taskDate")}T${data.get("taskTime") || "00:00"}:00`
-          : null,
-      };
+/**
+ * Moves the task being edited to "Haciendo" when the first checklist item is
+ * checked and to "Hecho" when all are. The status select shows the change, so
+ * the user can still override it before saving.
+ * @private
+ * @param {boolean} wasStarted - Whether some item was already checked before this change
+ */
+function applyChecklistAutoMove(wasStarted) {
+  const statusSelect = document.getElementById("editTaskStatus");
+  const { done, total } = getChecklistProgress({ checklist: checklistDraft });
+  if (!statusSelect || total === 0) return;
 
-      if (!taskData.title) {
-        throw new Error("El título de la tarea es obligatorio");
-      }
+  if (done === total) {
+    statusSelect.value = "completed";
+  } else if (done > 0 && !wasStarted && statusSelect.value === "pending") {
+    statusSelect.value = "progress";
+  }
+}
 
-      console.log("Actualizando tarea:", taskData);
-      await updateTask(taskId, taskData);
-      await loadTasksFromBackend();
-      modal.style.display = "none";
-      showToast("✏️ Tarea actualizada exitosamente", "success");
-    } catch (err) {
-      console.error("Error actualizando tarea:", err);
-      showToast("❌ Error al actualizar tarea: " + (err.message || err), "error");
-    } finally {
-      submitBtn.disabled = false;
-      submitBtn.textContent = originalText;
-      if (cancelBtn) {
-        cancelBtn.disabled = false;
-      }
-    }
-  });
+/**
+ * Renders the checklist items being edited.
+ * @private
+ */
+function renderChecklistEditor() {
+  const list = document.getElementById("editChecklist");
+  if (!list) return;
+
+  list.innerHTML = checklistDraft.map((item, index) => `
+    <li class="checklist-item" data-item-id="${escapeHtml(item.id)}">
+      <input type="checkbox" ${item.done ? "checked" : ""} aria-label="Completado" />
+      <span class="checklist-text" data-done="${Boolean(item.done)}">${escapeHtml(item.text)}</span>
+      <button type="button" class="checklist-up" title="Subir" ${index === 0 ? "disabled" : ""}>↑</button>
+      <button type="button" class="checklist-down" title="Bajar" ${index === checklistDraft.length - 1 ? "disabled" : ""}>↓</button>
+      <button type="button" class="checklist-delete" title="Eliminar">✕</button>
+    </li>
+  `).join("");
+
+  const summary = document.querySelector(".checklist-editor .checklist-summary");
+  if (summary) {
+    const { done, total } = getChecklistProgress({ checklist: checklistDraft });
+    summary.textContent = total ? `${done}/${total}` : "";
+  }
 }
 
 /**
@@ -600,6 +2213,168 @@ function initTaskActions() {
   });
 }
 
+/**
+ * Initializes drag and drop of task cards between and within Kanban columns.
+ * Moving a card to another column persists its new state; on failure the card
+ * goes back to where it was.
+ * @private
+ */
+function initDragAndDrop() {
+  const board = document.querySelector(".kanban-board");
+  const lists = document.querySelectorAll(".kanban-column .task-list");
+
+  if (!board || lists.length === 0) {
+    console.warn("Kanban board not found");
+    return;
+  }
+
+  const placeholder = document.createElement("div");
+  placeholder.className = "drop-placeholder";
+
+  let draggedCard = null;
+  let origin = null;
+
+  board.addEventListener("dragstart", (e) => {
+    const card = e.target.closest(".task-card");
+    if (!card || selectionMode || card.dataset.deleting === 'true' || card.dataset.syncing === 'true') {
+      e.preventDefault();
+      return;
+    }
+
+    draggedCard = card;
+    origin = { list: card.parentElement, order: readColumnOrder() };
+    placeholder.style.height = `${card.offsetHeight}px`;
+
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", card.dataset.taskId);
+
+    // Ocultar la tarjeta después de que el navegador genere la imagen de arrastre
+    requestAnimationFrame(() => card.classList.add("dragging"));
+  });
+
+  board.addEventListener("dragend", () => {
+    draggedCard?.classList.remove("dragging");
+    placeholder.remove();
+    lists.forEach((list) => list.classList.remove("drag-over"));
+    draggedCard = null;
+    origin = null;
+  });
+
+  lists.forEach((list) => {
+    list.addEventListener("dragover", (e) => {
+      if (!draggedCard) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+
+      list.classList.add("drag-over");
+      const nextCard = getCardAfterPointer(list, e.clientY);
+      if (nextCard) {
+        list.insertBefore(placeholder, nextCard);
+      } else {
+        list.appendChild(placeholder);
+      }
+    });
+
+    list.addEventListener("dragleave", (e) => {
+      if (!list.contains(e.relatedTarget)) {
+        list.classList.remove("drag-over");
+        if (placeholder.parentElement === list) placeholder.remove();
+      }
+    });
+
+    list.addEventListener("drop", (e) => {
+      if (!draggedCard) return;
+      e.preventDefault();
+
+      const card = draggedCard;
+      const from = origin;
+      list.insertBefore(card, placeholder.parentElement === list ? placeholder : null);
+      card.classList.remove("dragging");
+      placeholder.remove();
+      list.classList.remove("drag-over");
+
+      handleCardDrop(card, from, list);
+    });
+  });
+}
+
+/**
+ * Finds the first card in a list whose vertical center is below the pointer.
+ * @private
+ * @returns {HTMLElement|null} The card to insert before, or null to append
+ */
+function getCardAfterPointer(list, clientY) {
+  const cards = [...list.querySelectorAll(".task-card:not(.dragging):not([hidden])")];
+  return cards.find((card) => {
+    const box = card.getBoundingClientRect();
+    return clientY < box.top + box.height / 2;
+  }) || null;
+}
+
+/**
+ * Persists a dropped card: saves the new order and, when the column changed,
+ * the new task state. The store update re-renders the card right away; if the
+ * request fails the previous order is restored with the task.
+ * @private
+ */
+async function handleCardDrop(card, from, targetList) {
+  const taskId = card.dataset.taskId;
+  const fromStatus = getTaskStatusFromColumn(from.list);
+  const toStatus = getTaskStatusFromColumn(targetList);
+
+  refreshColumnState(from.list);
+  refreshColumnState(targetList);
+  saveColumnOrder();
+
+  if (fromStatus === toStatus) {
+    // En columnas ordenadas por prioridad la tarjeta vuelve a su posición
+    if (getColumnSettings(toStatus).sort === "priority") renderBoard();
+    return;
+  }
+
+  try {
+    const { nextOccurrence } = await updateTaskStatus(taskId, toStatus);
+
+    const columnTitle = targetList.closest(".kanban-column")?.querySelector(".column-title")?.textContent;
+    const undoStatus = undoStatusChange(taskId, fromStatus, nextOccurrence);
+    recordAction(`Tarea movida a ${columnTitle || "otra columna"}`, async () => {
+      saveColumnOrder(from.order);
+      await undoStatus();
+    });
+  } catch (err) {
+    console.error("Error moviendo tarea:", err);
+    showToast("❌ Error al mover tarea: " + (err.message || err), "error");
+
+    saveColumnOrder(from.order);
+    renderBoard();
+  }
+}
+
+/**
+ * Updates the empty state and the counter of the column containing a task list.
+ * @private
+ */
+function refreshColumnState(list) {
+  const cardCount = list.querySelectorAll(".task-card").length;
+  const visibleCount = list.querySelectorAll(".task-card:not([hidden])").length;
+  let emptyState = list.querySelector(".empty-state");
+
+  if (visibleCount > 0) {
+    emptyState?.remove();
+  } else {
+    if (!emptyState) {
+      emptyState = document.createElement("div");
+      emptyState.className = "empty-state";
+      list.appendChild(emptyState);
+    }
+    emptyState.textContent = cardCount > 0 ? "Ninguna tarea coincide con el filtro" : "No hay tareas aún";
+  }
+
+  // Con filtros activos, mostrar cuántas tareas se ven del total
+  const counter = list.closest(".kanban-column")?.querySelector(".column-count");
+  if (counter) counter.textContent = visibleCount === cardCount ? cardCount : `${visibleCount}/${cardCount}`;
+}
+
 /**
  * Handles task editing
  * @private
@@ -620,36 +2395,14 @@ async function handleEditTask(card) {
   // Marcar la tarea como en proceso de edición
   card.dataset.editing = 'true';
 
-  // Get current task data from the card
-  const titleEl = card.querySelector(".task-title");
-  const descEl = card.querySelector(".task-description");
-  const datetimeEl = card.querySelector(".task-datetime");
-
-  const taskData = {
-    title: titleEl?.textContent?.trim() || "",
-    detail: descEl?.textContent?.trim() || "",
-    dueDate: null,
-    status: getTaskStatusFromColumn(card)
-  };
-
-  // Extract date from datetime element if present
-  if (datetimeEl && datetimeEl.textContent) {
-    const dateMatch = datetimeEl.textContent.match(/📅\s*(\d{1,2}\/\d{1,2}\/\d{4})/);
-    const timeMatch = datetimeEl.textContent.match(/⏰\s*(\d{1,2}:\d{2})/);
-
-    if (dateMatch && timeMatch) {
-      try {
-        const [day, month, year] = dateMatch[1].split('/');
-        const time = timeMatch[1];
-        taskData.dueDate = new Date(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T${time}:00`);
-      } catch (err) {
-        console.warn("Error parsing date from card:", err);
-      }
-    }
-  }
-
   try {
-    openEditModal(taskId, taskData);
+    // Usar la tarea del store; pedirla al servidor solo si no está en caché
+    const task = taskStore.get(taskId) ?? await getTaskById(taskId, { signal: viewController?.signal });
+    openEditModal(task);
+  } catch (err) {
+    if (err.name === "AbortError") return;
+    console.error("Error cargando tarea:", err);
+    showToast("❌ Error al cargar la tarea: " + (err.message || err), "error");
   } finally {
     // Limpiar el flag después de abrir el modal
     setTimeout(() => {
@@ -688,10 +2441,11 @@ async function handleDeleteTask(card) {
 }
 
 /**
- * Opens the edit modal with current task data.
+ * Opens the edit modal filled from a task object.
+ * Fields the form does not show are kept as they are, since only changed fields are saved.
  * @private
  */
-function openEditModal(taskId, taskData) {
+function openEditModal(task) {
   const modal = document.getElementById("editTask");
   const form = document.getElementById("editTaskForm");
 
@@ -701,10 +2455,10 @@ function openEditModal(taskId, taskData) {
     return;
   }
 
-  console.log("Setting up edit modal for task:", taskId, taskData);
+  console.log("Setting up edit modal for task:", task.id, task);
 
   // Store task ID in form dataset
-  form.dataset.taskId = taskId;
+  form.dataset.taskId = task.id;
 
   // Clear and populate form fields
   const titleInput = document.getElementById("editTaskTitle");
@@ -712,34 +2466,33 @@ function openEditModal(taskId, taskData) {
   const dateInput = document.getElementById("editTaskDate");
   const timeInput = document.getElementById("editTaskTime");
   const statusSelect = document.getElementById("editTaskStatus");
+  const prioritySelect = document.getElementById("editTaskPriority");
 
-  if (titleInput) titleInput.value = taskData.title || "";
-  if (descInput) descInput.value = taskData.detail || "";
+  if (titleInput) titleInput.value = task.title || "";
+  if (descInput) descInput.value = task.detail || "";
 
-  // Handle date and time
-  if (taskData.dueDate && dateInput && timeInput) {
-    try {
-      const date = new Date(taskData.dueDate);
-      if (!isNaN(date.getTime())) {
-        const dateStr = date.toISOString().split('T')[0];
-        const timeStr = date.toTimeString().slice(0, 5);
-        dateInput.value = dateStr;
-        timeInput.value = timeStr;
-      }
-    } catch (err) {
-      console.warn("Error parsing task date:", err);
-      if (dateInput) dateInput.value = "";
-      if (timeInput) timeInput.value = "";
-    }
-  } else {
-    if (dateInput) dateInput.value = "";
-    if (timeInput) timeInput.value = "";
-  }
+  // Fecha y hora en la zona horaria local
+  if (dateInput) dateInput.value = task.dueDate ? toDateInputValue(task.dueDate) : "";
+  if (timeInput) timeInput.value = task.dueDate ? toTimeInputValue(task.dueDate) : "";
+  form.dataset.originalDate = dateInput?.value ?? "";
+  form.dataset.originalTime = timeInput?.value ?? "";
 
   // Set status
   if (statusSelect) {
-    statusSelect.value = taskData.status || "pending";
+    statusSelect.value = getStatusColumn(task.status);
   }
+  if (prioritySelect) prioritySelect.value = task.priority || DEFAULT_PRIORITY;
+  renderLabelPicker(document.getElementById("editTaskLabelPicker"), task.labels || []);
+
+  fillRecurrenceFields(form, task.recurrence);
+  form.querySelectorAll('[name="taskReminders"]').forEach((input) => {
+    input.checked = Boolean(task.reminders?.includes(Number(input.value)));
+  });
+
+  checklistDraft = (task.checklist || []).map((item) => ({ ...item }));
+  renderChecklistEditor();
+  const autoMoveInput = document.getElementById("checklistAutoMove");
+  if (autoMoveInput) autoMoveInput.checked = getPreference("checklistAutoMove", false);
 
   // Show modal
   modal.style.display = "block";
@@ -747,32 +2500,250 @@ function openEditModal(taskId, taskData) {
 }
 
 /**
- * Maps frontend status to backend state.
+ * Determines the status of the column containing an element (a card or a task list).
+ * @private
+ */
+function getTaskStatusFromColumn(element) {
+  const column = element.closest('.kanban-column');
+  if (column?.classList.contains('pending-column')) return 'pending';
+  if (column?.classList.contains('progress-column')) return 'progress';
+  if (column?.classList.contains('completed-column')) return 'completed';
+  return 'pending';
+}
+
+/**
+ * Initializes the header search box: it filters the board while typing and is
+ * focused with "/" or Ctrl+K; Escape clears it.
+ * @private
+ */
+function initBoardSearch() {
+  const input = document.getElementById("boardSearch");
+  if (!input) return;
+
+  input.addEventListener("input", () => {
+    boardSearch = parseSearchQuery(input.value);
+    renderBoard();
+  });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape") return;
+    input.value = "";
+    boardSearch = parseSearchQuery("");
+    renderBoard();
+    input.blur();
+  });
+
+  document.addEventListener("keydown", (e) => {
+    const slash = e.key === "/" && !e.ctrlKey && !e.metaKey && !e.altKey;
+    const ctrlK = (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k";
+    if (!slash && !ctrlK) return;
+    if (slash && isTypingTarget(e.target)) return;
+
+    e.preventDefault();
+    input.focus();
+    input.select();
+  }, { signal: viewController?.signal });
+}
+
+/**
+ * Reads the filter of the board from the hash route: a saved view
+ * (`?view=semana`) or the filter fields themselves (`?estado=progress`).
  * @private
  */
-function mapStatusToBackend(status) {
-  switch (status) {
-    case "pending":
-      return "Por Hacer";
-    case "progress":
-      return "Haciendo";
-    case "completed":
-      return "Hecho";
-    default:
-      return "Por Hacer";
+function readFilterFromHash() {
+  const params = getHashParams();
+  const viewId = params.get("view");
+  boardFilter = filterFromParams(params);
+  activeViewId = null;
+  if (!viewId) return;
+
+  const view = getSavedView(viewId);
+  if (view) {
+    boardFilter = view.filter;
+    activeViewId = view.id;
+  } else {
+    showToast(`La vista "${viewId}" no existe`, "error");
   }
 }
 
 /**
- * Determines task status based on which column the card is in.
+ * Initializes the filter bar and the saved views dropdown.
  * @private
  */
-function getTaskStatusFromColumn(card) {
-  const column = card.closest('.kanban-column');
-  if (column?.classList.contains('pending-column')) return 'pending';
-  if (column?.classList.contains('progress-column')) return 'progress';
-  if (column?.classList.contains('completed-column')) return 'completed';
-  return 'pending';
+function initFilterBar() {
+  const form = document.getElementById("filterBar");
+  const select = document.getElementById("savedViewSelect");
+  const toggleBtn = document.getElementById("toggleFiltersBtn");
+  if (!form || !select) {
+    console.warn("Filter bar elements not found");
+    return;
+  }
+
+  renderFilterLabels();
+  fillFilterForm();
+  renderSavedViews();
+
+  toggleBtn?.addEventListener("click", () => {
+    form.hidden = !form.hidden;
+    toggleBtn.setAttribute("aria-expanded", String(!form.hidden));
+  });
+
+  // Cada filtro que oculta tareas se puede quitar desde el resumen del tablero
+  document.getElementById("hiddenTasksSummary")?.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-filter-key]");
+    if (!button) return;
+    getBoardFilters().find((filter) => filter.key === button.dataset.filterKey)?.clear();
+    renderBoard();
+  });
+
+  form.addEventListener("change", (e) => {
+    if (e.target.name === "viewName") return;
+    boardFilter = readFilterForm();
+    activeViewId = null;
+    applyBoardFilter();
+  });
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    try {
+      const view = saveView(form.elements.viewName.value, boardFilter);
+      activeViewId = view.id;
+      applyBoardFilter();
+      showToast(`💾 Vista "${view.name}" guardada`, "success");
+    } catch (err) {
+      showToast("❌ " + (err.message || err), "error");
+    }
+  });
+
+  select.addEventListener("change", () => {
+    const view = getSavedView(select.value);
+    // "*" es el filtro sin guardar, que ya está aplicado
+    if (select.value === "*") return;
+    boardFilter = view ? view.filter : createEmptyFilter();
+    activeViewId = view?.id ?? null;
+    fillFilterForm();
+    applyBoardFilter();
+  });
+
+  document.getElementById("deleteViewBtn")?.addEventListener("click", () => {
+    const view = getSavedView(activeViewId);
+    if (!view) return;
+    deleteView(view.id);
+    activeViewId = null;
+    applyBoardFilter();
+    showToast(`🗑️ Vista "${view.name}" eliminada`, "info");
+  });
+
+  document.getElementById("clearFiltersBtn")?.addEventListener("click", () => {
+    boardFilter = createEmptyFilter();
+    activeViewId = null;
+    fillFilterForm();
+    applyBoardFilter();
+  });
+}
+
+/**
+ * Applies the current filter: updates the hash route, the saved views dropdown and the board.
+ * @private
+ */
+function applyBoardFilter() {
+  const params = activeViewId ? new URLSearchParams({ view: activeViewId }) : filterToParams(boardFilter);
+  replaceHashParams(params);
+  renderSavedViews();
+  renderBoard();
+}
+
+/**
+ * Reads the filter chosen in the filter bar.
+ * @private
+ */
+function readFilterForm() {
+  const data = new FormData(document.getElementById("filterBar"));
+  return normalizeFilter({
+    statuses: data.getAll("filterStatus"),
+    dueDate: data.get("filterDueDate"),
+    dueFrom: data.get("filterDueFrom"),
+    dueTo: data.get("filterDueTo"),
+    createdFrom: data.get("filterCreatedFrom"),
+    createdTo: data.get("filterCreatedTo"),
+    priorities: data.getAll("filterPriority"),
+    labels: data.getAll("filterLabels"),
+  });
+}
+
+/**
+ * Fills the filter bar from the current filter.
+ * @private
+ */
+function fillFilterForm() {
+  const form = document.getElementById("filterBar");
+  if (!form) return;
+
+  const checkAll = (name, values) => {
+    form.querySelectorAll(`[name="${name}"]`).forEach((input) => {
+      input.checked = values.includes(input.value);
+    });
+  };
+  checkAll("filterStatus", boardFilter.statuses);
+  checkAll("filterPriority", boardFilter.priorities);
+  checkAll("filterLabels", boardFilter.labels);
+  form.elements.filterDueDate.value = boardFilter.dueDate;
+  form.elements.filterDueFrom.value = boardFilter.dueFrom;
+  form.elements.filterDueTo.value = boardFilter.dueTo;
+  form.elements.filterCreatedFrom.value = boardFilter.createdFrom;
+  form.elements.filterCreatedTo.value = boardFilter.createdTo;
+}
+
+/**
+ * Renders the label options of the filter bar.
+ * @private
+ */
+function renderFilterLabels() {
+  const container = document.querySelector("#filterBar .filter-labels");
+  if (!container) return;
+
+  const labels = getLabels();
+  container.innerHTML = labels.length === 0
+    ? `<span class="label-filter-empty">Sin etiquetas</span>`
+    : labels.map((label) => `
+      <label>
+        <input type="checkbox" name="filterLabels" value="${label.id}" ${boardFilter.labels.includes(label.id) ? "checked" : ""} />
+        <span class="label-chip" style="background-color: ${getLabelColor(label)}">${escapeHtml(label.name)}</span>
+      </label>
+    `).join("");
+}
+
+/**
+ * Renders the saved views dropdown and the state of the filter bar buttons.
+ * @private
+ */
+function renderSavedViews() {
+  const select = document.getElementById("savedViewSelect");
+  if (!select) return;
+
+  const custom = !activeViewId && !isEmptyFilter(boardFilter);
+  const options = [
+    custom ? `<option value="*">Filtro sin guardar</option>` : "",
+    `<option value="">Todas las tareas</option>`,
+    ...getSavedViews().map((view) => `<option value="${escapeHtml(view.id)}">${escapeHtml(view.name)}</option>`),
+  ];
+  select.innerHTML = options.join("");
+  select.value = activeViewId ?? (custom ? "*" : "");
+
+  const activeView = activeViewId ? getSavedView(activeViewId) : null;
+  const form = document.getElementById("filterBar");
+  if (form) form.elements.viewName.value = activeView?.name ?? "";
+
+  const deleteBtn = document.getElementById("deleteViewBtn");
+  if (deleteBtn) deleteBtn.hidden = !activeView;
+
+  // Mostrar cuántos filtros hay activos aunque la barra esté cerrada
+  const toggleBtn = document.getElementById("toggleFiltersBtn");
+  if (toggleBtn) {
+    const active = Object.values(boardFilter).filter((value) => (Array.isArray(value) ? value.length : value)).length;
+    toggleBtn.textContent = active ? `Filtros (${active})` : "Filtros";
+    toggleBtn.dataset.active = String(active > 0);
+  }
 }
 
 /**
@@ -882,33 +2853,23 @@ function clearPendingDelete() {
 }
 
 /**
- * Executes the actual task deletion
+ * Moves a task to the trash, from where it can be restored or purged.
  * @private
  */
 async function executeDeleteTask(taskId) {
-  const card = document.querySelector(`[data-task-id="${taskId}"]`);
-  if (!card) {
-    console.error("Task card not found");
+  const task = taskStore.get(taskId);
+  if (!task) {
+    console.error("Task not found");
     return;
   }
 
-  // Marcar la tarea como en proceso de eliminación
-  card.dataset.deleting = 'true';
-  card.style.opacity = '0.5';
-  card.style.pointerEvents = 'none';
-
+  // La tarjeta desaparece de inmediato y vuelve si el servidor falla
   try {
-    await deleteTask(taskId);
-    showToast("🗑️ Tarea eliminada", "success");
-    await loadTasksFromBackend();
+    await trashTask(taskId);
+    recordAction("🗑️ Tarea movida a la papelera", () => restoreTask(taskId));
   } catch (err) {
     console.error("Error eliminando tarea:", err);
     showToast("❌ Error eliminando: " + (err.message || err), "error");
-
-    // Restaurar el estado si hay error
-    card.dataset.deleting = 'false';
-    card.style.opacity = '1';
-    card.style.pointerEvents = 'auto';
   }
 }
 
@@ -917,13 +2878,7 @@ async function executeDeleteTask(taskId) {
  * @private
  */
 async function executeLogout() {
-  try {
-    await logoutUser();
-  } catch (err) {
-    console.warn("Error en logout:", err);
-  }
-  localStorage.clear();
-  sessionStorage.clear();
-  location.hash = "#/sign-in";
+  // logoutUser conserva las preferencias del usuario, que guardan también datos de las tareas
+  await logoutUser();
   showToast("Sesión cerrada correctamente", "success");
 }
@@ -4,8 +4,11 @@
  * @version 1.0.0
  */
 
+import { isApiError } from '../../api/apiError.js';
 import { forgotPassword, getUserProfile, isAuthenticated, loginUser } from '../../services/userService.js';
+import { showFieldErrors } from '../../utils/formErrors.js';
 import { showSuccessToast, showToast } from '../../utils/notifications.js';
+import { consumeRedirectRoute, consumeSessionExpired } from '../../utils/session.js';
 
 /**
  * Initializes the sign-in view with authentication and password recovery.
@@ -37,6 +40,10 @@ export function initSignin() {
     return;
   }
 
+  if (consumeSessionExpired()) {
+    showToast("⚠️ Tu sesión ha expirado. Inicia sesión nuevamente");
+  }
+
   if (forgotLink && modal) {
     forgotLink.addEventListener('click', () => {
       modal.style.display = 'block';
@@ -115,9 +122,12 @@ export function initSignin() {
         console.warn("No se pudo decodificar el token:", tokenError);
       }
 
-      setTimeout(() => (location.hash = "#/dashboard"), 1000);
+      // Volver a la ruta en la que estaba el usuario si su sesión expiró
+      const redirectRoute = consumeRedirectRoute() || "#/dashboard";
+      setTimeout(() => (location.hash = redirectRoute), 1000);
     } catch (err) {
-      showToast("⚠️ Credenciales incorrectas");
+      showFieldErrors(form, err, { email: "sign-in-email", password: "sign-in-password" });
+      showToast(getSignInErrorMessage(err));
       console.error("Login error:", err);
     } finally {
       submitBtn.textContent = originalText;
@@ -168,3 +178,19 @@ export function initSignin() {
     });
   }
 }
+
+/**
+ * Returns the message to show for a failed sign-in attempt.
+ * @private
+ * @param {Error} err - Error thrown by loginUser
+ * @returns {string} Message for the user
+ */
+function getSignInErrorMessage(err) {
+  if (!isApiError(err)) return "⚠️ Credenciales incorrectas";
+
+  if (err.isNetworkError) return "⚠️ No se pudo conectar con el servidor. Intenta de nuevo";
+  if (err.status === 429) return "⚠️ Demasiados intentos. Espera un momento e intenta de nuevo";
+  if (err.status >= 500) return "⚠️ Error del servidor. Intenta más tarde";
+  if (err.status === 403) return "⚠️ " + err.message;
+  return "⚠️ Credenciales incorrectas";
+}
@@ -5,6 +5,7 @@
  */
 
 import { registerUser } from '../../services/userService.js';
+import { clearFieldErrors, showFieldErrors } from '../../utils/formErrors.js';
 
 /**
  * Initializes the sign-up view with form validation and submission handling.
@@ -109,12 +110,25 @@ export function initSignup() {
     const password = passInput.value.trim();
     const age = ageInput.value.trim();
 
+    clearFieldErrors(form);
+
     try {
       await registerUser({ nombre, apellido, email, password, age });
       alert("✅ Registro exitoso 🎉");
       setTimeout(() => (location.hash = "#/sign-in"), 400);
     } catch (err) {
-      alert("❌ No se pudo registrar: " + (err?.message || err));
+      // Resaltar los campos rechazados por el servidor (p. ej. email ya registrado)
+      const highlighted = showFieldErrors(form, err, {
+        email: "sign-up-email",
+        username: "sign-up-email",
+        password: "sign-up-password",
+        firstName: "name",
+        lastName: "last-name",
+        age: "age",
+      });
+      if (!highlighted) {
+        alert("❌ No se pudo registrar: " + (err?.message || err));
+      }
       console.error("registerUser error", err);
       validateForm();
     } finally {
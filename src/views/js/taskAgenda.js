@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Agenda view of the dashboard tasks.
+ * Lists the tasks still to do grouped by when they are due (overdue, today,
+ * tomorrow, this week, later and without a date), with quick actions to
+ * complete or postpone each one.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { DEFAULT_PRIORITY, isCompleted } from '../../services/taskService.js';
+import { formatRelativeDue, fromDateInputs, getDueState, toDateInputValue, toTimeInputValue } from '../../utils/dates.js';
+import { highlightMatches } from '../../utils/search.js';
+
+/**
+ * Agenda groups, in display order.
+ * @type {{key: string, title: string}[]}
+ * @private
+ */
+const AGENDA_GROUPS = [
+  { key: "overdue", title: "Vencidas" },
+  { key: "today", title: "Hoy" },
+  { key: "tomorrow", title: "Mañana" },
+  { key: "week", title: "Esta semana" },
+  { key: "later", title: "Más adelante" },
+  { key: "undated", title: "Sin fecha" },
+];
+
+/**
+ * Time given to tasks without a date when they are scheduled from the agenda.
+ * @type {string}
+ * @private
+ */
+const DEFAULT_TIME = "12:00";
+
+/**
+ * Callbacks given by the dashboard.
+ * @type {{onOpenTask: Function, onComplete: Function, onReschedule: Function}|null}
+ * @private
+ */
+let handlers = null;
+
+/**
+ * Row whose date field is open and the date typed so far. Kept across renders,
+ * so a store change while the user picks a date does not close the field.
+ * @type {{taskId: string, value: string}|null}
+ * @private
+ */
+let openDatePicker = null;
+
+/**
+ * Initializes the quick actions of the agenda.
+ * @param {Object} options - Agenda options
+ * @param {function(string): void} options.onOpenTask - Called with the task ID when a title is clicked
+ * @param {function(string): void} options.onComplete - Called with the ID of the task to complete
+ * @param {function(string, string, string): void} options.onReschedule - Called with the task ID,
+ *   the new due date (YYYY-MM-DDTHH:mm:00) and a description of the change
+ * @public
+ */
+export function initTaskAgenda({ onOpenTask, onComplete, onReschedule }) {
+  handlers = { onOpenTask, onComplete, onReschedule };
+  openDatePicker = null;
+  const agenda = document.getElementById("taskAgendaView");
+  if (!agenda) {
+    console.warn("Task agenda not found");
+    return;
+  }
+
+  agenda.addEventListener("click", (e) => {
+    const row = e.target.closest(".agenda-item");
+    if (!row || row.dataset.syncing === "true") return;
+    const taskId = row.dataset.taskId;
+
+    if (e.target.closest(".agenda-title")) {
+      handlers.onOpenTask(taskId);
+    } else if (e.target.closest(".agenda-complete")) {
+      handlers.onComplete(taskId);
+    } else if (e.target.closest("[data-postpone]")) {
+      const days = Number(e.target.closest("[data-postpone]").dataset.postpone);
+      handlers.onReschedule(taskId, postpone(row.dataset.dueDate, days), days === 1 ? "+1 día" : `+${days} días`);
+    } else if (e.target.closest(".agenda-pick-date")) {
+      const input = row.querySelector(".agenda-date-input");
+      openDatePicker = { taskId, value: input.value };
+      input.hidden = false;
+      // showPicker no existe en todos los navegadores
+      try {
+        input.showPicker?.();
+      } catch {
+        input.focus();
+      }
+    }
+  });
+
+  agenda.addEventListener("input", (e) => {
+    const input = e.target.closest(".agenda-date-input");
+    if (input && openDatePicker) openDatePicker.value = input.value;
+  });
+
+  agenda.addEventListener("keydown", (e) => {
+    const input = e.target.closest(".agenda-date-input");
+    if (!input || e.key !== "Escape") return;
+    openDatePicker = null;
+    input.hidden = true;
+  });
+
+  agenda.addEventListener("change", (e) => {
+    const input = e.target.closest(".agenda-date-input");
+    if (!input?.value) return;
+
+    openDatePicker = null;
+    const row = input.closest(".agenda-item");
+    const time = row.dataset.dueDate ? toTimeInputValue(row.dataset.dueDate) : DEFAULT_TIME;
+    const dueDate = fromDateInputs(input.value, time);
+    handlers.onReschedule(row.dataset.taskId, dueDate, new Date(dueDate).toLocaleDateString("es-ES"));
+  });
+}
+
+/**
+ * Renders the tasks still to do grouped by due date. Completed tasks are left out.
+ * @param {Object[]} tasks - Tasks that pass the board filters
+ * @param {Object} [options] - Rendering options
+ * @param {string[]} [options.terms=[]] - Search terms to highlight in the titles
+ * @public
+ */
+export function renderTaskAgenda(tasks, { terms = [] } = {}) {
+  const agenda = document.querySelector("#taskAgendaView .agenda-groups");
+  if (!agenda) return;
+
+  const pickerFocused = Boolean(document.activeElement?.closest?.(".agenda-date-input"));
+  const now = new Date();
+  const groups = new Map(AGENDA_GROUPS.map((group) => [group.key, []]));
+  tasks
+    .filter((task) => !isCompleted(task))
+    .forEach((task) => groups.get(getAgendaGroup(task, now)).push(task));
+
+  const html = AGENDA_GROUPS
+    .filter((group) => groups.get(group.key).length > 0)
+    .map((group) => {
+      const groupTasks = groups.get(group.key).sort(compareByDueDate);
+      return `
+        <section class="agenda-group" data-group="${group.key}">
+          <h2 class="agenda-group-title">${group.title} <span class="agenda-group-count">${groupTasks.length}</span></h2>
+          <ul class="agenda-list">
+            ${groupTasks.map((task) => renderItem(task, group.key, terms, now)).join("")}
+          </ul>
+        </section>
+      `;
+    });
+
+  agenda.innerHTML = html.length > 0
+    ? html.join("")
+    : `<div class="empty-state">No hay tareas pendientes que coincidan con el filtro</div>`;
+  restoreDatePicker(agenda, pickerFocused);
+}
+
+/**
+ * Reopens the date field that was open before the agenda was rendered again,
+ * with the date typed so far. It is dropped if its task is no longer listed.
+ * @private
+ * @param {HTMLElement} agenda - Container of the agenda groups
+ * @param {boolean} focus - Whether the field had the focus
+ */
+function restoreDatePicker(agenda, focus) {
+  if (!openDatePicker) return;
+
+  const row = [...agenda.querySelectorAll(".agenda-item")].find((item) => item.dataset.taskId === openDatePicker.taskId);
+  const input = row?.querySelector(".agenda-date-input");
+  if (!input) {
+    openDatePicker = null;
+    return;
+  }
+  input.hidden = false;
+  input.value = openDatePicker.value;
+  if (focus) input.focus();
+}
+
+/**
+ * Returns the agenda group of a task.
+ * @private
+ */
+function getAgendaGroup(task, now) {
+  const state = getDueState(task.dueDate, now);
+  if (!state) return "undated";
+  if (state === "overdue") return "overdue";
+
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  if (toDateInputValue(task.dueDate) === toDateInputValue(tomorrow)) return "tomorrow";
+  return state;
+}
+
+/**
+ * Renders the row of a task.
+ * @private
+ */
+function renderItem(task, group, terms, now) {
+  const priority = task.priority || DEFAULT_PRIORITY;
+  const dueDate = task.dueDate ? new Date(task.dueDate) : null;
+  const date = dueDate && !isNaN(dueDate.getTime()) ? dueDate : null;
+
+  let when = "";
+  if (date && (group === "today" || group === "tomorrow")) {
+    when = toTimeInputValue(date);
+  } else if (date) {
+    when = date.toLocaleDateString("es-ES", { weekday: "short", day: "numeric", month: "short" });
+    when += ` ${toTimeInputValue(date)}`;
+  }
+  const relative = group === "overdue" ? `<span class="agenda-relative">${formatRelativeDue(date, now)}</span>` : "";
+
+  return `
+    <li class="agenda-item" data-task-id="${task.id}" data-due-date="${date ? date.toISOString() : ""}"
+      ${task.syncing ? 'data-syncing="true"' : ""}>
+      <button type="button" class="agenda-complete" title="Completar" aria-label="Completar tarea"></button>
+      <span class="agenda-when">${when}</span>
+      <div class="agenda-main">
+        <button type="button" class="agenda-title">${highlightMatches(task.title || "Sin título", terms)}</button>
+        ${relative}
+      </div>
+      <span class="task-priority priority-${priority}">${priority[0].toUpperCase()}${priority.slice(1)}</span>
+      <div class="agenda-actions">
+        <button type="button" class="secondary-btn" data-postpone="1" title="Posponer un día">+1 día</button>
+        <button type="button" class="secondary-btn" data-postpone="7" title="Posponer una semana">+1 semana</button>
+        <button type="button" class="secondary-btn agenda-pick-date" title="Elegir fecha">📅</button>
+        <input type="date" class="agenda-date-input" aria-label="Nueva fecha" value="${date ? toDateInputValue(date) : ""}" hidden />
+      </div>
+    </li>
+  `;
+}
+
+/**
+ * Returns the due date of a task postponed some days. Overdue tasks are postponed
+ * from today and tasks without a date get the default time.
+ * @private
+ * @param {string} dueDate - Current due date (ISO), or an empty string
+ * @param {number} days - Days to postpone
+ * @returns {string} New due date (YYYY-MM-DDTHH:mm:00)
+ */
+function postpone(dueDate, days) {
+  const now = new Date();
+  const current = dueDate ? new Date(dueDate) : null;
+  const time = current ? toTimeInputValue(current) : DEFAULT_TIME;
+  const base = current && current > now ? current : now;
+
+  const next = new Date(base.getFullYear(), base.getMonth(), base.getDate() + days);
+  return fromDateInputs(toDateInputValue(next), time);
+}
+
+/**
+ * Sorts tasks by due date, leaving tasks without a date at the end.
+ * @private
+ */
+function compareByDueDate(a, b) {
+  const timeA = a.dueDate ? new Date(a.dueDate).getTime() : Infinity;
+  const timeB = b.dueDate ? new Date(b.dueDate).getTime() : Infinity;
+  if (timeA === timeB) return 0;
+  return timeA < timeB ? -1 : 1;
+}
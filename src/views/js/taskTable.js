@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Table view of the dashboard tasks.
+ * Shows one row per task with sortable columns and an inline status selector.
+ * The sort and the visible columns are remembered per user in the preferences.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { getLabel, isHexColor } from '../../services/labelService.js';
+import { DEFAULT_PRIORITY, TASK_PRIORITIES, TASK_STATUSES, getCreatedAt, getStatusColumn } from '../../services/taskService.js';
+import { getDueState } from '../../utils/dates.js';
+import { escapeHtml } from '../../utils/html.js';
+import { getPreference, setPreference } from '../../utils/preferences.js';
+import { highlightMatches, normalizeText } from '../../utils/search.js';
+
+/**
+ * Table columns. The title column cannot be hidden.
+ * @type {{key: string, label: string, sortValue: function(Object): (string|number)}[]}
+ * @private
+ */
+const TABLE_COLUMNS = [
+  {
+    key: "title",
+    label: "Título",
+    sortValue: (task) => normalizeText(task.title || ""),
+  },
+  {
+    key: "status",
+    label: "Estado",
+    sortValue: (task) => TASK_STATUSES.findIndex((status) => status.key === getStatusColumn(task.status)),
+  },
+  {
+    key: "priority",
+    label: "Prioridad",
+    sortValue: (task) => TASK_PRIORITIES.indexOf(task.priority || DEFAULT_PRIORITY),
+  },
+  {
+    key: "dueDate",
+    label: "Vence",
+    sortValue: (task) => getTime(task.dueDate),
+  },
+  {
+    key: "createdAt",
+    label: "Creada",
+    sortValue: (task) => getTime(getCreatedAt(task)),
+  },
+  {
+    key: "labels",
+    label: "Etiquetas",
+    sortValue: (task) => normalizeText(getTaskLabels(task)[0]?.name ?? "") || Infinity,
+  },
+];
+
+/**
+ * Sort used until the user picks one.
+ * @type {{key: string, direction: string}}
+ * @private
+ */
+const DEFAULT_SORT = { key: "dueDate", direction: "asc" };
+
+/**
+ * Callbacks given by the dashboard.
+ * @type {{onOpenTask: Function, onStatusChange: Function, onChange: Function}|null}
+ * @private
+ */
+let handlers = null;
+
+/**
+ * Initializes the table: header sorting, column visibility menu and row actions.
+ * @param {Object} options - Table options
+ * @param {function(string): void} options.onOpenTask - Called with the task ID when a title is clicked
+ * @param {function(string, string): void} options.onStatusChange - Called with the task ID and the new status
+ * @param {function(): void} options.onChange - Called when the sort or the visible columns change
+ * @public
+ */
+export function initTaskTable({ onOpenTask, onStatusChange, onChange }) {
+  handlers = { onOpenTask, onStatusChange, onChange };
+  const view = document.getElementById("taskTableView");
+  if (!view) {
+    console.warn("Task table not found");
+    return;
+  }
+
+  renderColumnMenu();
+
+  view.querySelector(".table-columns-menu")?.addEventListener("change", (e) => {
+    const input = e.target.closest("[name='tableColumn']");
+    if (!input) return;
+
+    const visible = getVisibleColumns().filter((key) => key !== input.value);
+    setPreference("tableColumns", input.checked ? [...visible, input.value] : visible);
+    handlers.onChange();
+  });
+
+  view.querySelector(".task-table")?.addEventListener("click", (e) => {
+    const header = e.target.closest("th[data-sort-key]");
+    if (header) {
+      const sort = getSort();
+      const direction = sort.key === header.dataset.sortKey && sort.direction === "asc" ? "desc" : "asc";
+      setPreference("tableSort", { key: header.dataset.sortKey, direction });
+      handlers.onChange();
+      return;
+    }
+
+    const title = e.target.closest(".table-task-title");
+    if (title) handlers.onOpenTask(title.closest("tr").dataset.taskId);
+  });
+
+  view.querySelector(".task-table")?.addEventListener("change", (e) => {
+    const select = e.target.closest(".table-status");
+    if (select) handlers.onStatusChange(select.closest("tr").dataset.taskId, select.value);
+  });
+}
+
+/**
+ * Renders the given tasks in the table, sorted by the chosen column.
+ * @param {Object[]} tasks - Tasks that pass the board filters
+ * @param {Object} [options] - Rendering options
+ * @param {string[]} [options.terms=[]] - Search terms to highlight in the titles
+ * @public
+ */
+export function renderTaskTable(tasks, { terms = [] } = {}) {
+  const table = document.querySelector("#taskTableView .task-table");
+  if (!table) return;
+
+  const visible = getVisibleColumns();
+  const columns = TABLE_COLUMNS.filter((column) => column.key === "title" || visible.includes(column.key));
+  const sort = getSort();
+  const sortColumn = TABLE_COLUMNS.find((column) => column.key === sort.key) ?? TABLE_COLUMNS[0];
+  const factor = sort.direction === "desc" ? -1 : 1;
+
+  const sorted = [...tasks].sort((a, b) => {
+    const valueA = sortColumn.sortValue(a);
+    const valueB = sortColumn.sortValue(b);
+    // Las tareas sin valor (sin fecha, sin etiquetas) van siempre al final
+    if (valueA === Infinity || valueB === Infinity) return valueA === valueB ? 0 : valueA === Infinity ? 1 : -1;
+    if (valueA < valueB) return -factor;
+    if (valueA > valueB) return factor;
+    return 0;
+  });
+
+  table.querySelector("thead").innerHTML = `
+    <tr>
+      ${columns.map((column) => {
+        const sorted = column.key === sortColumn.key;
+        const ariaSort = sorted ? (sort.direction === "desc" ? "descending" : "ascending") : "none";
+        const arrow = sorted ? (sort.direction === "desc" ? " ▼" : " ▲") : "";
+        return `<th data-sort-key="${column.key}" aria-sort="${ariaSort}">${column.label}${arrow}</th>`;
+      }).join("")}
+    </tr>
+  `;
+
+  table.querySelector("tbody").innerHTML = sorted.length === 0
+    ? `<tr><td class="table-empty" colspan="${columns.length}">Ninguna tarea coincide con el filtro</td></tr>`
+    : sorted.map((task) => renderRow(task, columns, terms)).join("");
+}
+
+/**
+ * Renders the row of a task.
+ * @private
+ */
+function renderRow(task, columns, terms) {
+  const status = getStatusColumn(task.status);
+  const due = status === "completed" ? null : getDueState(task.dueDate);
+  const priority = task.priority || DEFAULT_PRIORITY;
+
+  const cells = {
+    title: `<button type="button" class="table-task-title">${highlightMatches(task.title || "Sin título", terms)}</button>`,
+    status: `
+      <select class="table-status" aria-label="Estado" ${task.syncing ? "disabled" : ""}>
+        ${TASK_STATUSES.map((option) => `
+          <option value="${option.key}" ${option.key === status ? "selected" : ""}>${option.label}</option>
+        `).join("")}
+      </select>
+    `,
+    priority: `<span class="task-priority priority-${priority}">${priority[0].toUpperCase()}${priority.slice(1)}</span>`,
+    dueDate: formatDateTime(task.dueDate),
+    createdAt: formatDateTime(getCreatedAt(task)),
+    labels: getTaskLabels(task).map((label) => `
+      <span class="label-chip" style="background-color: ${isHexColor(label.color) ? label.color : "#6c757d"}">
+        ${escapeHtml(label.name)}
+      </span>
+    `).join(""),
+  };
+
+  return `
+    <tr data-task-id="${task.id}" ${due === "overdue" ? 'data-due="overdue"' : ""} ${task.syncing ? 'data-syncing="true"' : ""}>
+      ${columns.map((column) => `<td data-column="${column.key}">${cells[column.key]}</td>`).join("")}
+    </tr>
+  `;
+}
+
+/**
+ * Renders the checkboxes that show or hide the optional columns.
+ * @private
+ */
+function renderColumnMenu() {
+  const menu = document.querySelector("#taskTableView .table-columns-options");
+  if (!menu) return;
+
+  const visible = getVisibleColumns();
+  menu.innerHTML = TABLE_COLUMNS.filter((column) => column.key !== "title").map((column) => `
+    <label>
+      <input type="checkbox" name="tableColumn" value="${column.key}" ${visible.includes(column.key) ? "checked" : ""} />
+      ${column.label}
+    </label>
+  `).join("");
+}
+
+/**
+ * Returns the keys of the optional columns the user wants to see.
+ * @private
+ */
+function getVisibleColumns() {
+  const visible = getPreference("tableColumns", null);
+  return Array.isArray(visible) ? visible : TABLE_COLUMNS.map((column) => column.key);
+}
+
+/**
+ * Returns the sort chosen by the user.
+ * @private
+ */
+function getSort() {
+  const sort = getPreference("tableSort", DEFAULT_SORT);
+  return TABLE_COLUMNS.some((column) => column.key === sort?.key) ? sort : DEFAULT_SORT;
+}
+
+/**
+ * Returns the existing labels of a task.
+ * @private
+ */
+function getTaskLabels(task) {
+  return (task.labels || []).map(getLabel).filter(Boolean);
+}
+
+/**
+ * Returns the time of a date for sorting; missing dates go last.
+ * @private
+ */
+function getTime(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return isNaN(time) ? Infinity : time;
+}
+
+/**
+ * Formats a date and time as "dd/mm/yyyy hh:mm".
+ * @private
+ */
+function formatDateTime(value) {
+  if (!value) return `<span class="table-muted">—</span>`;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return `<span class="table-muted">—</span>`;
+
+  const day = date.toLocaleDateString("es-ES", { day: "2-digit", month: "2-digit", year: "numeric" });
+  const time = date.toLocaleTimeString("es-ES", { hour: "2-digit", minute: "2-digit" });
+  return `${day} ${time}`;
+}
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Trash view: lists the tasks moved to the trash so they can be
+ * restored or deleted permanently, and purges them after the retention period.
+ * @author Tudu Development Team
+ * @version 1.0.0
+ */
+
+import { DEFAULT_TRASH_RETENTION_DAYS, deleteTask, getTasks, isTrashed, purgeExpiredTrash, restoreTask } from '../../services/taskService.js';
+import { taskStore } from '../../services/taskStore.js';
+import { requireAuth } from '../../utils/authGuard.js';
+import { escapeHtml } from '../../utils/html.js';
+import { showToast } from '../../utils/notifications.js';
+import { getPreference, setPreference } from '../../utils/preferences.js';
+import { initAppHeader } from './appHeader.js';
+
+/**
+ * Milliseconds in a day.
+ * @type {number}
+ * @private
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Controller of the current trash view; aborted when the user navigates away.
+ * @type {AbortController|null}
+ * @private
+ */
+let viewController = null;
+
+/**
+ * Action waiting for confirmation in the purge modal.
+ * @type {Function|null}
+ * @private
+ */
+let pendingPurge = null;
+
+/**
+ * Initializes the trash view with authentication protection.
+ * @public
+ */
+export async function initTrash() {
+  if (!requireAuth()) return;
+
+  viewController?.abort();
+  const controller = new AbortController();
+  viewController = controller;
+  window.addEventListener("hashchange", () => controller.abort(), { once: true });
+
+  initAppHeader({ signal: controller.signal });
+
+  const unsubscribe = taskStore.subscribe(renderTrash);
+  controller.signal.addEventListener("abort", unsubscribe);
+  if (taskStore.isLoaded()) renderTrash();
+
+  initRetentionSelect();
+  initTrashActions();
+  initPurgeModal();
+
+  await loadTrash();
+}
+
+/**
+ * Loads the tasks and purges the ones past the retention period.
+ * @private
+ */
+async function loadTrash() {
+  try {
+    await getTasks({ signal: viewController?.signal });
+  } catch (err) {
+    // La carga se canceló porque el usuario salió de la papelera
+    if (err.name === "AbortError") return;
+
+    console.error("Error cargando la papelera:", err);
+    showToast("Error cargando la papelera: " + (err.message || err), "error");
+    return;
+  }
+
+  const purged = await purgeExpiredTrash(getRetentionDays());
+  if (purged > 0) {
+    showToast(`🧹 ${purged} tarea(s) eliminada(s) por antigüedad`, "info");
+  }
+}
+
+/**
+ * Returns the retention period chosen by the user.
+ * @private
+ * @returns {number} Days a task stays in the trash
+ */
+function getRetentionDays() {
+  return Number(getPreference("trashRetentionDays", DEFAULT_TRASH_RETENTION_DAYS)) || DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Renders the trashed tasks, most recently deleted first.
+ * @private
+ */
+function renderTrash() {
+  const list = document.querySelector(".trash-list");
+  if (!list) return;
+
+  const trashed = taskStore.getAll()
+    .filter(isTrashed)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+  const emptyBtn = document.getElementById("emptyTrashBtn");
+  if (emptyBtn) emptyBtn.disabled = trashed.length === 0;
+
+  if (trashed.length === 0) {
+    list.innerHTML = `<div class="empty-state">La papelera está vacía</div>`;
+    return;
+  }
+
+  list.replaceChildren(...trashed.map(createTrashItem));
+}
+
+/**
+ * Creates the element of a trashed task.
+ * @private
+ */
+function createTrashItem(task) {
+  const item = document.createElement("div");
+  item.className = "task-card trash-item";
+  item.dataset.taskId = task.id;
+  if (task.syncing) item.dataset.syncing = "true";
+
+  const deletedAt = new Date(task.deletedAt);
+  const daysLeft = Math.max(0, Math.ceil((deletedAt.getTime() + getRetentionDays() * DAY - Date.now()) / DAY));
+
+  item.innerHTML = `
+    <div class="task-title">${escapeHtml(task.title || "Sin título")}</div>
+    <div class="task-description">${escapeHtml(task.detail || "")}</div>
+    <div class="item-meta">
+      Eliminada el ${deletedAt.toLocaleDateString("es-ES")} ·
+      se eliminará definitivamente en ${daysLeft} día(s)
+    </div>
+    <div class="item-actions">
+      <button type="button" class="restore-btn">Restaurar</button>
+      <button type="button" class="purge-btn danger-btn">Eliminar definitivamente</button>
+    </div>
+  `;
+  return item;
+}
+
+/**
+ * Initializes the retention period selector.
+ * @private
+ */
+function initRetentionSelect() {
+  const select = document.getElementById("trashRetention");
+  if (!select) return;
+
+  select.value = String(getRetentionDays());
+  if (!select.value) select.value = String(DEFAULT_TRASH_RETENTION_DAYS);
+
+  select.addEventListener("change", async () => {
+    setPreference("trashRetentionDays", Number(select.value));
+    renderTrash();
+
+    const purged = await purgeExpiredTrash(getRetentionDays());
+    if (purged > 0) {
+      showToast(`🧹 ${purged} tarea(s) eliminada(s) por antigüedad`, "info");
+    }
+  });
+}
+
+/**
+ * Handles the restore and purge buttons of the list and the empty-trash button.
+ * @private
+ */
+function initTrashActions() {
+  const list = document.querySelector(".trash-list");
+
+  list?.addEventListener("click", async (e) => {
+    const item = e.target.closest(".trash-item");
+    const taskId = item?.dataset.taskId;
+    if (!taskId || item.dataset.syncing === "true") return;
+
+    if (e.target.closest(".restore-btn")) {
+      try {
+        await restoreTask(taskId);
+        showToast("♻️ Tarea restaurada", "success");
+      } catch (err) {
+        console.error("Error restaurando tarea:", err);
+        showToast("❌ Error restaurando: " + (err.message || err), "error");
+      }
+    } else if (e.target.closest(".purge-btn")) {
+      const title = taskStore.get(taskId)?.title || "esta tarea";
+      confirmPurge(`¿Eliminar definitivamente "${title}"? Esta acción no se puede deshacer.`, async () => {
+        try {
+          await deleteTask(taskId);
+          showToast("🗑️ Tarea eliminada definitivamente", "success");
+        } catch (err) {
+          console.error("Error eliminando tarea:", err);
+          showToast("❌ Error eliminando: " + (err.message || err), "error");
+        }
+      });
+    }
+  });
+
+  document.getElementById("emptyTrashBtn")?.addEventListener("click", () => {
+    const trashed = taskStore.getAll().filter(isTrashed);
+    if (trashed.length === 0) return;
+
+    confirmPurge(`¿Eliminar definitivamente ${trashed.length} tarea(s)? Esta acción no se puede deshacer.`, () => emptyTrash(trashed));
+  });
+}
+
+/**
+ * Deletes every given task permanently, reporting the ones that failed.
+ * @private
+ */
+async function emptyTrash(tasks) {
+  const results = await Promise.allSettled(tasks.map((task) => deleteTask(task.id)));
+  const failed = results.filter((result) => result.status === "rejected");
+
+  if (failed.length === 0) {
+    showToast("🗑️ Papelera vaciada", "success");
+  } else {
+    console.error("Error vaciando la papelera:", failed.map((result) => result.reason));
+    showToast(`❌ No se pudieron eliminar ${failed.length} de ${tasks.length} tareas`, "error");
+  }
+}
+
+/**
+ * Opens the confirmation modal for a permanent deletion.
+ * @private
+ * @param {string} message - Question shown in the modal
+ * @param {Function} onConfirm - Action run when the user confirms
+ */
+function confirmPurge(message, onConfirm) {
+  const modal = document.getElementById("purgeTaskModal");
+  if (!modal) {
+    // Fallback al confirm nativo si no existe el modal
+    if (confirm(message)) onConfirm();
+    return;
+  }
+
+  document.getElementById("purgeTaskMessage").textContent = message;
+  pendingPurge = onConfirm;
+  modal.style.display = "block";
+}
+
+/**
+ * Initializes the permanent deletion confirmation modal.
+ * @private
+ */
+function initPurgeModal() {
+  const modal = document.getElementById("purgeTaskModal");
+  if (!modal) return;
+
+  const close = () => {
+    modal.style.display = "none";
+    pendingPurge = null;
+  };
+
+  modal.querySelector(".close-modal")?.addEventListener("click", close);
+  document.getElementById("cancelPurgeTaskBtn")?.addEventListener("click", close);
+
+  // Cerrar al hacer click fuera del modal
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) close();
+  });
+
+  document.getElementById("confirmPurgeTaskBtn")?.addEventListener("click", async () => {
+    const action = pendingPurge;
+    close();
+    await action?.();
+  });
+}
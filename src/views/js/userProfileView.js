@@ -4,7 +4,9 @@
  * @version 1.0.0
  */
 
-import { getCurrentUser, getUserProfile, isAuthenticated, logoutUser, updateUserProfile, validateUserPassword, deleteUserAccount } from '../../services/userService.js';
+import { getCurrentUser, getUserProfile, logoutUser, updateUserProfile, validateUserPassword, deleteUserAccount } from '../../services/userService.js';
+import { requireAuth } from '../../utils/authGuard.js';
+import { showFieldErrors } from '../../utils/formErrors.js';
 import { showSuccessToast, showToast } from '../../utils/notifications.js';
 
 /**
@@ -12,10 +14,7 @@ import { showSuccessToast, showToast } from '../../utils/notifications.js';
  * @public
  */
 export async function initUserProfile() {
-  if (!isAuthenticated()) {
-    location.hash = "#/sign-in";
-    return;
-  }
+  if (!requireAuth()) return;
 
   const currentUser = getCurrentUser();
   if (!currentUser) {
@@ -105,14 +104,7 @@ function initUserDropdown() {
 
   if (logoutOption) {
     logoutOption.addEventListener("click", async () => {
-      try {
-        await logoutUser();
-      } catch (err) {
-        console.warn("Error en logout:", err);
-      }
-      localStorage.clear();
-      sessionStorage.clear();
-      location.hash = "#/sign-in";
+      await logoutUser();
       showToast("Sesión cerrada correctamente", "success");
     });
   }
@@ -247,7 +239,16 @@ async function executeProfileUpdate() {
 
   } catch (error) {
     console.error("Error updating profile:", error);
-    showToast("Error al actualizar el perfil: " + (error.message || error), "error");
+    const form = document.querySelector(".profile-card");
+    const highlighted = form && showFieldErrors(form, error, {
+      firstName: 'name',
+      lastName: 'last-name',
+      email: 'email',
+      age: 'age',
+    });
+    if (!highlighted) {
+      showToast("Error al actualizar el perfil: " + (error.message || error), "error");
+    }
   } finally {
     if (saveBtn) {
       saveBtn.disabled = false;
@@ -495,4 +496,4 @@ function showDeleteConfirmationModal() {
 
   // Focus en el primer input
   setTimeout(() => passwordInput.focus(), 100);
-}
\ No newline at end of file
+}